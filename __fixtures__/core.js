@@ -10,3 +10,6 @@ export const getInput = jest.fn()
 export const setOutput = jest.fn()
 export const setFailed = jest.fn()
 export const warning = jest.fn()
+export const getState = jest.fn()
+export const saveState = jest.fn()
+export const setSecret = jest.fn()
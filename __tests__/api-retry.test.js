@@ -0,0 +1,189 @@
+/**
+ * Unit tests for GitHub API retries, src/api-retry.js
+ */
+import { jest } from '@jest/globals'
+import { Octokit } from '@octokit/rest'
+import { describeRateLimit, installRetry } from '../src/api-retry.js'
+
+// Build a fetch response the way the GitHub API returns it
+const response = (status, body = {}, headers = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  })
+
+describe('api-retry.js', () => {
+  let fetch
+  let sleep
+  let octokit
+  let state
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation()
+    fetch = jest.fn()
+    sleep = jest.fn().mockResolvedValue()
+    octokit = new Octokit({ request: { fetch } })
+    state = installRetry(octokit, { retries: 2, retryDelayMs: 100, sleep })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('retries idempotent requests after server errors', async () => {
+    fetch
+      .mockResolvedValueOnce(response(502, { message: 'Bad Gateway' }))
+      .mockResolvedValueOnce(response(200, { login: 'test-org' }))
+
+    const { data } = await octokit.rest.orgs.get({ org: 'test-org' })
+
+    expect(data.login).toBe('test-org')
+    expect(fetch).toHaveBeenCalledTimes(2)
+    // First backoff is between half and all of the base delay
+    expect(sleep.mock.calls[0][0]).toBeGreaterThanOrEqual(50)
+    expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(100)
+  })
+
+  it('gives up after the configured number of retries', async () => {
+    fetch.mockImplementation(async () =>
+      response(503, { message: 'Service Unavailable' })
+    )
+
+    await expect(octokit.rest.orgs.get({ org: 'test-org' })).rejects.toEqual(
+      expect.objectContaining({ status: 503 })
+    )
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('does not retry non-idempotent requests after server errors', async () => {
+    fetch.mockResolvedValue(response(502, { message: 'Bad Gateway' }))
+
+    await expect(
+      octokit.rest.git.createRef({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'refs/mutex/key',
+        sha: 'lock-sha'
+      })
+    ).rejects.toEqual(expect.objectContaining({ status: 502 }))
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not retry deletes after server errors', async () => {
+    // The lock may have been released and taken by another run meanwhile
+    fetch.mockResolvedValue(response(502, { message: 'Bad Gateway' }))
+
+    await expect(
+      octokit.rest.git.deleteRef({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex/key'
+      })
+    ).rejects.toEqual(expect.objectContaining({ status: 502 }))
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not retry client errors', async () => {
+    fetch.mockResolvedValue(response(404, { message: 'Not Found' }))
+
+    await expect(octokit.rest.orgs.get({ org: 'test-org' })).rejects.toEqual(
+      expect.objectContaining({ status: 404 })
+    )
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('waits as long as a secondary rate limit asks', async () => {
+    fetch
+      .mockResolvedValueOnce(
+        response(
+          403,
+          { message: 'You have exceeded a secondary rate limit' },
+          { 'retry-after': '7' }
+        )
+      )
+      .mockResolvedValueOnce(response(201, { ref: 'refs/mutex/key' }))
+
+    await octokit.rest.git.createRef({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      ref: 'refs/mutex/key',
+      sha: 'lock-sha'
+    })
+
+    expect(sleep).toHaveBeenCalledWith(7000)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('waits for the rate limit reset when the budget is exhausted', async () => {
+    const reset = Math.ceil(Date.now() / 1000) + 30
+    fetch
+      .mockResolvedValueOnce(
+        response(
+          403,
+          { message: 'API rate limit exceeded' },
+          {
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-limit': '5000',
+            'x-ratelimit-reset': String(reset)
+          }
+        )
+      )
+      .mockResolvedValueOnce(response(200, { login: 'test-org' }))
+
+    await octokit.rest.orgs.get({ org: 'test-org' })
+
+    expect(sleep.mock.calls[0][0]).toBeGreaterThan(25000)
+    expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(31000)
+  })
+
+  it('does not wait for a rate limit reset far in the future', async () => {
+    fetch.mockResolvedValue(
+      response(
+        403,
+        { message: 'API rate limit exceeded' },
+        {
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-limit': '5000',
+          'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 3600)
+        }
+      )
+    )
+
+    await expect(octokit.rest.orgs.get({ org: 'test-org' })).rejects.toEqual(
+      expect.objectContaining({ status: 403 })
+    )
+    expect(sleep).not.toHaveBeenCalled()
+  })
+
+  it('tracks the remaining rate limit budget', async () => {
+    fetch.mockResolvedValue(
+      response(
+        200,
+        { login: 'test-org' },
+        {
+          'x-ratelimit-remaining': '120',
+          'x-ratelimit-limit': '5000',
+          'x-ratelimit-reset': '1700000000'
+        }
+      )
+    )
+
+    await octokit.rest.orgs.get({ org: 'test-org' })
+    await octokit.rest.orgs.get({ org: 'test-org' })
+
+    expect(state.rateLimit).toEqual({
+      remaining: 120,
+      limit: 5000,
+      reset: 1700000000
+    })
+    // The low budget is only logged once
+    expect(console.log).toHaveBeenCalledTimes(1)
+    expect(console.log).toHaveBeenCalledWith(
+      'GitHub API rate limit is running low: 120/5000 requests remaining, resets at 2023-11-14T22:13:20.000Z'
+    )
+  })
+
+  it('describes an unknown rate limit', () => {
+    expect(describeRateLimit(null)).toBe('unknown')
+  })
+})
@@ -0,0 +1,229 @@
+/**
+ * Unit tests for GitHub App authentication, src/app-auth.js
+ */
+import { jest } from '@jest/globals'
+import { createVerify, generateKeyPairSync } from 'node:crypto'
+
+const mockOctokit = {
+  rest: {
+    apps: {
+      getInstallation: jest.fn(),
+      getOrgInstallation: jest.fn(),
+      getUserInstallation: jest.fn(),
+      createInstallationAccessToken: jest.fn()
+    }
+  }
+}
+
+jest.unstable_mockModule('@octokit/rest', () => ({
+  Octokit: jest.fn(() => mockOctokit)
+}))
+
+const { Octokit } = await import('@octokit/rest')
+const { createAppJwt, getAppInstallationToken } =
+  await import('../src/app-auth.js')
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+})
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString())
+
+const orgInstallation = {
+  id: 7,
+  target_type: 'Organization',
+  account: { login: 'test-org' }
+}
+
+describe('app-auth.js', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation()
+    mockOctokit.rest.apps.getOrgInstallation.mockResolvedValue({
+      data: orgInstallation
+    })
+    mockOctokit.rest.apps.createInstallationAccessToken.mockResolvedValue({
+      data: {
+        token: 'ghs_installation',
+        permissions: {
+          organization_self_hosted_runners: 'read',
+          organization_plan: 'read'
+        }
+      }
+    })
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    jest.restoreAllMocks()
+  })
+
+  describe('createAppJwt', () => {
+    it('signs a backdated, short-lived JWT with RS256', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z')
+
+      const [header, payload, signature] = createAppJwt(
+        '12345',
+        privateKey,
+        now
+      ).split('.')
+
+      expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT' })
+      expect(decode(payload)).toEqual({
+        iat: now / 1000 - 60,
+        exp: now / 1000 + 540,
+        iss: 12345
+      })
+      expect(
+        createVerify('RSA-SHA256')
+          .update(`${header}.${payload}`)
+          .verify(publicKey, signature, 'base64url')
+      ).toBe(true)
+    })
+
+    it('accepts keys with escaped newlines', () => {
+      const escaped = privateKey.replace(/\n/g, '\\n')
+
+      expect(createAppJwt('12345', escaped, 0)).toBe(
+        createAppJwt('12345', privateKey, 0)
+      )
+    })
+
+    it('rejects invalid private keys', () => {
+      expect(() => createAppJwt('12345', 'not a key')).toThrow(
+        'Invalid app-private-key'
+      )
+    })
+  })
+
+  describe('getAppInstallationToken', () => {
+    it('discovers the installation on the owner account', async () => {
+      const result = await getAppInstallationToken({
+        appId: '12345',
+        privateKey,
+        owner: 'test-org',
+        apiUrl: 'https://ghes.example.com/api/v3/'
+      })
+
+      expect(Octokit).toHaveBeenCalledWith({
+        auth: expect.stringMatching(/^[\w-]+\.[\w-]+\.[\w-]+$/),
+        baseUrl: 'https://ghes.example.com/api/v3'
+      })
+      expect(mockOctokit.rest.apps.getOrgInstallation).toHaveBeenCalledWith({
+        org: 'test-org'
+      })
+      expect(
+        mockOctokit.rest.apps.createInstallationAccessToken
+      ).toHaveBeenCalledWith({ installation_id: 7 })
+      expect(result).toEqual({
+        token: 'ghs_installation',
+        installation: orgInstallation
+      })
+    })
+
+    it('falls back to the user installation', async () => {
+      mockOctokit.rest.apps.getOrgInstallation.mockRejectedValue({
+        status: 404
+      })
+      mockOctokit.rest.apps.getUserInstallation.mockResolvedValue({
+        data: { id: 8, target_type: 'User', account: { login: 'test-user' } }
+      })
+      mockOctokit.rest.apps.createInstallationAccessToken.mockResolvedValue({
+        data: { token: 'ghs_user', permissions: { administration: 'read' } }
+      })
+
+      const result = await getAppInstallationToken({
+        appId: '12345',
+        privateKey,
+        owner: 'test-user'
+      })
+
+      expect(mockOctokit.rest.apps.getUserInstallation).toHaveBeenCalledWith({
+        username: 'test-user'
+      })
+      expect(result.token).toBe('ghs_user')
+    })
+
+    it('uses the configured installation', async () => {
+      mockOctokit.rest.apps.getInstallation.mockResolvedValue({
+        data: orgInstallation
+      })
+
+      await getAppInstallationToken({
+        appId: '12345',
+        privateKey,
+        installationId: '7',
+        owner: 'test-org'
+      })
+
+      expect(mockOctokit.rest.apps.getInstallation).toHaveBeenCalledWith({
+        installation_id: 7
+      })
+      expect(mockOctokit.rest.apps.getOrgInstallation).not.toHaveBeenCalled()
+    })
+
+    it('fails when the app is not installed on the owner', async () => {
+      mockOctokit.rest.apps.getOrgInstallation.mockRejectedValue({
+        status: 404
+      })
+      mockOctokit.rest.apps.getUserInstallation.mockRejectedValue({
+        status: 404
+      })
+
+      await expect(
+        getAppInstallationToken({ appId: '12345', privateKey, owner: 'nobody' })
+      ).rejects.toThrow('GitHub App 12345 is not installed on nobody')
+    })
+
+    it('explains rejected app credentials', async () => {
+      mockOctokit.rest.apps.getOrgInstallation.mockRejectedValue({
+        status: 401
+      })
+
+      await expect(
+        getAppInstallationToken({
+          appId: '12345',
+          privateKey,
+          owner: 'test-org'
+        })
+      ).rejects.toThrow(
+        'GitHub App authentication failed for app 12345: check app-id and app-private-key'
+      )
+    })
+
+    it('names the missing installation permissions', async () => {
+      mockOctokit.rest.apps.createInstallationAccessToken.mockResolvedValue({
+        data: { token: 'ghs_installation', permissions: { metadata: 'read' } }
+      })
+
+      await expect(
+        getAppInstallationToken({
+          appId: '12345',
+          privateKey,
+          owner: 'test-org'
+        })
+      ).rejects.toThrow(
+        'GitHub App installation on test-org lacks the "Self-hosted runners" (organization_self_hosted_runners) and "Plan" (organization_plan) permissions'
+      )
+    })
+
+    it('does not need the Plan permission on GitHub Enterprise Server', async () => {
+      mockOctokit.rest.apps.createInstallationAccessToken.mockResolvedValue({
+        data: {
+          token: 'ghs_installation',
+          permissions: { organization_self_hosted_runners: 'read' }
+        }
+      })
+
+      const result = await getAppInstallationToken({
+        appId: '12345',
+        privateKey,
+        owner: 'test-org',
+        apiUrl: 'https://ghes.example.com/api/v3'
+      })
+
+      expect(result.token).toBe('ghs_installation')
+    })
+  })
+})
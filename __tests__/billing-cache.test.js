@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the billing lookup cache, src/billing-cache.js
+ */
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { BillingCache } from '../src/billing-cache.js'
+
+describe('BillingCache', () => {
+  let dir
+  let filePath
+  let clock
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'billing-cache-'))
+    filePath = join(dir, 'nested', 'cache.json')
+    clock = Date.parse('2024-05-20T12:00:00Z')
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  const createCache = (ttlMs = 60000) =>
+    new BillingCache(filePath, ttlMs, () => clock)
+
+  it('keys entries by owner and billing month', () => {
+    expect(createCache().key('billing', 'test-org')).toBe(
+      'billing/test-org/2024-05'
+    )
+  })
+
+  it('returns stored values within the time to live', async () => {
+    await createCache().set('billing/test-org/2024-05', { used: 1 })
+    clock += 60000
+
+    // A new instance stands for a later invocation on the same runner
+    expect(await createCache().get('billing/test-org/2024-05')).toEqual({
+      used: 1
+    })
+  })
+
+  it('misses expired and unknown entries', async () => {
+    const cache = createCache()
+    await cache.set('owner-type/test-org/2024-05', true)
+    clock += 60001
+
+    expect(await cache.get('owner-type/test-org/2024-05')).toBeUndefined()
+    expect(await cache.get('billing/other/2024-05')).toBeUndefined()
+  })
+
+  it('stores null values', async () => {
+    const cache = createCache()
+    await cache.set('plan/test-org/2024-05', null)
+
+    expect(await cache.get('plan/test-org/2024-05')).toBeNull()
+  })
+
+  it('drops expired entries when writing', async () => {
+    const cache = createCache()
+    await cache.set('billing/old/2024-05', 1)
+    clock += 120000
+    await cache.set('billing/new/2024-05', 2)
+
+    expect(Object.keys(JSON.parse(await readFile(filePath, 'utf8')))).toEqual([
+      'billing/new/2024-05'
+    ])
+  })
+
+  it('treats a corrupt file as empty', async () => {
+    const cache = createCache()
+    await cache.set('billing/test-org/2024-05', 1)
+    await writeFile(filePath, '{"billing')
+
+    expect(await cache.get('billing/test-org/2024-05')).toBeUndefined()
+  })
+})
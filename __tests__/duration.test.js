@@ -0,0 +1,36 @@
+/**
+ * Unit tests for duration parsing, src/duration.js
+ */
+import { parseDuration } from '../src/duration.js'
+
+describe('parseDuration', () => {
+  it('parses single units', () => {
+    expect(parseDuration('500ms')).toBe(500)
+    expect(parseDuration('90s')).toBe(90000)
+    expect(parseDuration('10m')).toBe(600000)
+    expect(parseDuration('2h')).toBe(7200000)
+  })
+
+  it('parses combined units', () => {
+    expect(parseDuration('1h30m')).toBe(5400000)
+    expect(parseDuration('1m30s')).toBe(90000)
+  })
+
+  it('treats bare numbers as seconds', () => {
+    expect(parseDuration('45')).toBe(45000)
+    expect(parseDuration('1.5')).toBe(1500)
+  })
+
+  it('ignores case and surrounding whitespace', () => {
+    expect(parseDuration(' 10M ')).toBe(600000)
+  })
+
+  it('rejects invalid durations with the input name', () => {
+    expect(() => parseDuration('soon', 'mutex-ttl')).toThrow(
+      'Invalid duration for mutex-ttl: "soon"'
+    )
+    expect(() => parseDuration('10x')).toThrow('Invalid duration')
+    expect(() => parseDuration('10m later')).toThrow('Invalid duration')
+    expect(() => parseDuration('')).toThrow('Invalid duration')
+  })
+})
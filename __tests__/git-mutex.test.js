@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals'
 import { GitMutex } from '../src/git-mutex.js'
+import { parseLockCommit } from '../src/lock-backends/git-ref.js'
 
 // Mock octokit
 const mockOctokit = {
@@ -8,11 +9,26 @@ const mockOctokit = {
       createRef: jest.fn(),
       deleteRef: jest.fn(),
       getRef: jest.fn(),
-      getCommit: jest.fn()
+      getCommit: jest.fn(),
+      createTree: jest.fn(),
+      createCommit: jest.fn(),
+      updateRef: jest.fn(),
+      listMatchingRefs: jest.fn()
+    },
+    actions: {
+      getWorkflowRun: jest.fn()
     }
   }
 }
 
+// Build a lock commit as returned by git.getCommit
+const lockCommit = (data) => ({
+  data: {
+    message: `Mutex lock: test-key\n\n${JSON.stringify(data)}\n`,
+    author: { date: new Date(0).toISOString() }
+  }
+})
+
 // Mock environment variables
 const originalEnv = process.env
 beforeEach(() => {
@@ -34,6 +50,14 @@ describe('GitMutex', () => {
 
   beforeEach(() => {
     gitMutex = new GitMutex(mockOctokit, 'test-owner', 'test-repo', 'test-key')
+    // Slots are free unless a test says otherwise
+    mockOctokit.rest.git.getRef.mockRejectedValue({ status: 404 })
+    mockOctokit.rest.git.createTree.mockResolvedValue({
+      data: { sha: 'tree-sha' }
+    })
+    mockOctokit.rest.git.createCommit.mockResolvedValue({
+      data: { sha: 'lock-sha' }
+    })
   })
 
   describe('acquireLock', () => {
@@ -48,10 +72,40 @@ describe('GitMutex', () => {
         owner: 'test-owner',
         repo: 'test-repo',
         ref: 'refs/mutex/test-key',
-        sha: 'abc123'
+        sha: 'lock-sha'
       })
     })
 
+    it('stores lock metadata in a dedicated root commit', async () => {
+      process.env.GITHUB_REPOSITORY = 'test-owner/test-repo'
+      gitMutex = new GitMutex(
+        mockOctokit,
+        'test-owner',
+        'test-repo',
+        'test-key'
+      )
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+
+      await gitMutex.acquireLock(5000, 1000)
+
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: 'test-owner', repo: 'test-repo' })
+      )
+      const commit = mockOctokit.rest.git.createCommit.mock.calls[0][0]
+      expect(commit.tree).toBe('tree-sha')
+      expect(commit.parents).toEqual([])
+      expect(parseLockCommit(commit)).toEqual(
+        expect.objectContaining({
+          id: gitMutex.lockData.id,
+          repository: 'test-owner/test-repo',
+          workflow: 'test-run-123',
+          job: 'test-job',
+          sha: 'abc123'
+        })
+      )
+      expect(gitMutex.getHolder()).toBe(gitMutex.lockData)
+    })
+
     it('retries when ref already exists', async () => {
       // First call fails (ref exists), second call succeeds
       mockOctokit.rest.git.createRef
@@ -62,13 +116,13 @@ describe('GitMutex', () => {
       mockOctokit.rest.git.getRef.mockResolvedValue({
         data: { object: { sha: 'old-sha' } }
       })
-      mockOctokit.rest.git.getCommit.mockResolvedValue({
-        data: {
-          author: {
-            date: new Date(Date.now() - 700000).toISOString() // 11+ minutes ago
-          }
-        }
-      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          workflow: 'other-run',
+          timestamp: Date.now() - 700000 // 11+ minutes ago
+        })
+      )
       mockOctokit.rest.git.deleteRef.mockResolvedValue({})
 
       const result = await gitMutex.acquireLock(10000, 1000)
@@ -89,18 +143,21 @@ describe('GitMutex', () => {
       mockOctokit.rest.git.getRef.mockResolvedValue({
         data: { object: { sha: 'current-sha' } }
       })
-      mockOctokit.rest.git.getCommit.mockResolvedValue({
-        data: {
-          author: {
-            date: new Date(Date.now() - 60000).toISOString() // 1 minute ago
-          }
-        }
-      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          workflow: 'other-run',
+          timestamp: Date.now() - 60000 // 1 minute ago
+        })
+      )
 
       const result = await gitMutex.acquireLock(3000, 1000)
 
       expect(result).toBe(false)
       expect(gitMutex.acquired).toBe(false)
+      expect(gitMutex.getHolder()).toEqual(
+        expect.objectContaining({ workflow: 'other-run' })
+      )
     })
 
     it('handles API errors gracefully', async () => {
@@ -110,9 +167,282 @@ describe('GitMutex', () => {
     })
   })
 
+  describe('semaphore mode', () => {
+    beforeEach(() => {
+      gitMutex = new GitMutex(
+        mockOctokit,
+        'test-owner',
+        'test-repo',
+        'test-key',
+        { slots: 3 }
+      )
+    })
+
+    it('claims the first free slot', async () => {
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.getRef.mockImplementation(async ({ ref }) => {
+        if (ref !== 'mutex/test-key/0') throw { status: 404 }
+        return { data: { object: { sha: 'other-sha' } } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() - 60000 })
+      )
+
+      const result = await gitMutex.acquireLock(5000, 1000)
+
+      expect(result).toBe(true)
+      expect(gitMutex.slot).toBe(1)
+      expect(gitMutex.lockRef).toBe('mutex/test-key/1')
+      // The held slot is only read
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledTimes(1)
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/mutex/test-key/1' })
+      )
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledTimes(1)
+    })
+
+    it('reclaims an expired slot', async () => {
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'old-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() - 700000 })
+      )
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({})
+
+      const result = await gitMutex.acquireLock(5000, 1000)
+
+      expect(result).toBe(true)
+      expect(gitMutex.slot).toBe(0)
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex/test-key/0'
+      })
+    })
+
+    it('times out when all slots are held', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'other-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() - 60000 })
+      )
+
+      const result = await gitMutex.acquireLock(250, 50)
+
+      expect(result).toBe(false)
+      expect(gitMutex.slot).toBeNull()
+      // Waiting on held slots creates no lock commits or refs
+      expect(mockOctokit.rest.git.getRef.mock.calls.length).toBeGreaterThan(3)
+      expect(mockOctokit.rest.git.createCommit).not.toHaveBeenCalled()
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled()
+    })
+
+    it('restores the slot from a token', () => {
+      gitMutex.slot = 2
+      const restored = GitMutex.fromToken(mockOctokit, gitMutex.getToken())
+
+      expect(restored.slots).toBe(3)
+      expect(restored.slot).toBe(2)
+      expect(restored.lockRef).toBe('mutex/test-key/2')
+    })
+  })
+
+  describe('queue mode', () => {
+    // Build a listMatchingRefs response from ticket ref names
+    const ticketRefs = (...tickets) => ({
+      data: tickets.map((ticket) => ({ ref: `refs/${ticket}` }))
+    })
+    const ownTicket = () =>
+      mockOctokit.rest.git.createRef.mock.calls
+        .map(([params]) => params.ref.replace(/^refs\//, ''))
+        .find((ref) => ref.startsWith('mutex-queue/'))
+
+    beforeEach(() => {
+      gitMutex = new GitMutex(
+        mockOctokit,
+        'test-owner',
+        'test-repo',
+        'test-key',
+        { queue: true }
+      )
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({})
+    })
+
+    it('acquires immediately when first in line', async () => {
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.listMatchingRefs.mockImplementation(async () =>
+        ticketRefs(ownTicket())
+      )
+
+      const result = await gitMutex.acquireLock(5000, 1000)
+
+      expect(result).toBe(true)
+      expect(gitMutex.queuePosition).toBe(1)
+      expect(ownTicket()).toMatch(
+        /^mutex-queue\/test-key\/\d+-test-run-123-[0-9a-f]{8}$/
+      )
+      expect(mockOctokit.rest.git.listMatchingRefs).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex-queue/test-key/'
+      })
+      expect(mockOctokit.rest.git.createRef).toHaveBeenLastCalledWith(
+        expect.objectContaining({ ref: 'refs/mutex/test-key' })
+      )
+      // The ticket is removed once the lock is held
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: ownTicket()
+      })
+    })
+
+    it('waits for older tickets before taking the lock', async () => {
+      const olderTicket = `mutex-queue/test-key/${Date.now() - 1000}-other-run-abcdef12`
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.listMatchingRefs
+        .mockImplementationOnce(async () =>
+          ticketRefs(ownTicket(), olderTicket)
+        )
+        .mockImplementation(async () => ticketRefs(ownTicket()))
+
+      const result = await gitMutex.acquireLock(5000, 100)
+
+      expect(result).toBe(true)
+      expect(gitMutex.queuePosition).toBe(2)
+      expect(mockOctokit.rest.git.listMatchingRefs).toHaveBeenCalledTimes(2)
+      // Only the ticket and the lock itself were created
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledTimes(2)
+    })
+
+    it('reaps stale tickets ahead in the queue', async () => {
+      const staleTicket = `mutex-queue/test-key/${Date.now() - 700000}-other-run-abcdef12`
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.listMatchingRefs.mockImplementation(async () =>
+        ticketRefs(staleTicket, ownTicket())
+      )
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'ticket-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() - 700000 })
+      )
+
+      const result = await gitMutex.acquireLock(5000, 1000)
+
+      expect(result).toBe(true)
+      expect(gitMutex.queuePosition).toBe(1)
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: staleTicket
+      })
+    })
+
+    it('keeps old tickets whose waiter is still renewing them', async () => {
+      const oldTicket = `mutex-queue/test-key/${Date.now() - 700000}-other-run-abcdef12`
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.listMatchingRefs.mockImplementation(async () =>
+        ticketRefs(oldTicket, ownTicket())
+      )
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'ticket-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          timestamp: Date.now() - 700000,
+          heartbeat: Date.now() - 1000
+        })
+      )
+
+      const result = await gitMutex.acquireLock(300, 100)
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalledWith(
+        expect.objectContaining({ ref: oldTicket })
+      )
+      // Own ticket removed on timeout
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: ownTicket() })
+      )
+      expect(gitMutex.ticketRef).toBeNull()
+    })
+
+    it('queues up again when its ticket was reaped', async () => {
+      mockOctokit.rest.git.createRef.mockResolvedValue({})
+      mockOctokit.rest.git.listMatchingRefs
+        .mockResolvedValueOnce(ticketRefs())
+        .mockImplementation(async () => {
+          const tickets = mockOctokit.rest.git.createRef.mock.calls
+            .map(([params]) => params.ref.replace(/^refs\//, ''))
+            .filter((ref) => ref.startsWith('mutex-queue/'))
+          return ticketRefs(tickets[tickets.length - 1])
+        })
+
+      const result = await gitMutex.acquireLock(5000, 1000)
+
+      expect(result).toBe(true)
+      // Two tickets plus the lock
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledTimes(3)
+    })
+
+    it('renews its ticket once a third of the TTL has passed', async () => {
+      gitMutex.ticketRef = 'mutex-queue/test-key/1-test-run-123-abcdef12'
+      gitMutex.ticketVersion = 'ticket-sha'
+      gitMutex.ticketData = { ...gitMutex.lockData, heartbeat: Date.now() }
+
+      await gitMutex.renewTicket()
+      expect(mockOctokit.rest.git.updateRef).not.toHaveBeenCalled()
+
+      gitMutex.ticketData.heartbeat = Date.now() - 300000
+      mockOctokit.rest.git.createCommit.mockResolvedValue({
+        data: { sha: 'renewed-ticket-sha' }
+      })
+      mockOctokit.rest.git.updateRef.mockResolvedValue({})
+
+      await gitMutex.renewTicket()
+
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['ticket-sha'] })
+      )
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex-queue/test-key/1-test-run-123-abcdef12',
+        sha: 'renewed-ticket-sha',
+        force: false
+      })
+      expect(gitMutex.ticketVersion).toBe('renewed-ticket-sha')
+    })
+
+    it('forgets a ticket that was reaped during renewal', async () => {
+      gitMutex.ticketRef = 'mutex-queue/test-key/1-test-run-123-abcdef12'
+      gitMutex.ticketVersion = 'ticket-sha'
+      gitMutex.ticketData = {
+        ...gitMutex.lockData,
+        heartbeat: Date.now() - 300000
+      }
+      mockOctokit.rest.git.updateRef.mockRejectedValue({ status: 422 })
+
+      await gitMutex.renewTicket()
+
+      expect(gitMutex.ticketRef).toBeNull()
+    })
+  })
+
   describe('releaseLock', () => {
     it('releases acquired lock successfully', async () => {
       gitMutex.acquired = true
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'lock-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: gitMutex.lockData.id, timestamp: Date.now() })
+      )
       mockOctokit.rest.git.deleteRef.mockResolvedValue({})
 
       await gitMutex.releaseLock()
@@ -127,6 +457,22 @@ describe('GitMutex', () => {
 
     it('handles case when ref does not exist', async () => {
       gitMutex.acquired = true
+      mockOctokit.rest.git.getRef.mockRejectedValue({ status: 404 })
+
+      await gitMutex.releaseLock()
+
+      expect(gitMutex.acquired).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
+    it('handles ref deleted concurrently', async () => {
+      gitMutex.acquired = true
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'lock-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: gitMutex.lockData.id, timestamp: Date.now() })
+      )
       mockOctokit.rest.git.deleteRef.mockRejectedValue({ status: 422 })
 
       await gitMutex.releaseLock()
@@ -134,6 +480,21 @@ describe('GitMutex', () => {
       expect(gitMutex.acquired).toBe(false)
     })
 
+    it('does not release a lock now held by another run', async () => {
+      gitMutex.acquired = true
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'other-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() })
+      )
+
+      await gitMutex.releaseLock()
+
+      expect(gitMutex.acquired).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
     it('does nothing when lock not acquired', async () => {
       gitMutex.acquired = false
 
@@ -143,13 +504,261 @@ describe('GitMutex', () => {
     })
   })
 
+  describe('renewLock', () => {
+    beforeEach(() => {
+      gitMutex.acquired = true
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'lock-sha' } }
+      })
+    })
+
+    it('records a heartbeat in a child lock commit', async () => {
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: gitMutex.lockData.id,
+          workflow: 'holder-run',
+          timestamp: Date.now() - 300000
+        })
+      )
+      mockOctokit.rest.git.createCommit.mockResolvedValue({
+        data: { sha: 'renewed-sha' }
+      })
+      mockOctokit.rest.git.updateRef.mockResolvedValue({})
+
+      const result = await gitMutex.renewLock()
+
+      expect(result).toBe(true)
+      const commit = mockOctokit.rest.git.createCommit.mock.calls[0][0]
+      expect(commit.parents).toEqual(['lock-sha'])
+      const data = parseLockCommit(commit)
+      // Holder metadata is preserved from the stored lock
+      expect(data.workflow).toBe('holder-run')
+      expect(data.heartbeat).toBeGreaterThan(data.timestamp)
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex/test-key',
+        sha: 'renewed-sha',
+        force: false
+      })
+    })
+
+    it('does not renew a lock held by another run', async () => {
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() })
+      )
+
+      const result = await gitMutex.renewLock()
+
+      expect(result).toBe(false)
+      expect(gitMutex.acquired).toBe(false)
+      expect(mockOctokit.rest.git.updateRef).not.toHaveBeenCalled()
+    })
+
+    it('does not renew a lock that no longer exists', async () => {
+      mockOctokit.rest.git.getRef.mockRejectedValue({ status: 404 })
+
+      const result = await gitMutex.renewLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.updateRef).not.toHaveBeenCalled()
+    })
+
+    it('detects a lock replaced during renewal', async () => {
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: gitMutex.lockData.id, timestamp: Date.now() })
+      )
+      mockOctokit.rest.git.updateRef.mockRejectedValue({ status: 422 })
+
+      const result = await gitMutex.renewLock()
+
+      expect(result).toBe(false)
+      expect(gitMutex.acquired).toBe(false)
+    })
+
+    it('rethrows unexpected errors', async () => {
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: gitMutex.lockData.id, timestamp: Date.now() })
+      )
+      mockOctokit.rest.git.updateRef.mockRejectedValue(new Error('API Error'))
+
+      await expect(gitMutex.renewLock()).rejects.toThrow('API Error')
+    })
+
+    it('does nothing when lock not acquired', async () => {
+      gitMutex.acquired = false
+
+      const result = await gitMutex.renewLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.getRef).not.toHaveBeenCalled()
+    })
+  })
+
   describe('checkAndCleanExpiredLock', () => {
     it('cleans expired lock', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'old-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          workflow: 'other-run',
+          timestamp: Date.now() - 700000 // 11+ minutes ago
+        })
+      )
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({})
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(true)
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalled()
+    })
+
+    it('does not clean non-expired lock', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          workflow: 'other-run',
+          timestamp: Date.now() - 60000 // 1 minute ago
+        })
+      )
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
+    it('cleans the lock of a finished run before the TTL', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          repository: 'test-owner/test-repo',
+          workflow: '4242',
+          timestamp: Date.now() - 60000
+        })
+      )
+      mockOctokit.rest.actions.getWorkflowRun.mockResolvedValue({
+        data: { status: 'completed', conclusion: 'cancelled' }
+      })
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({})
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(true)
+      expect(mockOctokit.rest.actions.getWorkflowRun).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        run_id: 4242
+      })
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex/test-key'
+      })
+    })
+
+    it('keeps the lock of a run still in progress', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          repository: 'test-owner/test-repo',
+          workflow: '4242',
+          timestamp: Date.now() - 60000
+        })
+      )
+      mockOctokit.rest.actions.getWorkflowRun.mockResolvedValue({
+        data: { status: 'in_progress', conclusion: null }
+      })
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
+    it('looks up the holder run once per third of the TTL', async () => {
+      const now = Date.now()
+      jest.spyOn(Date, 'now').mockImplementation(() => now)
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          repository: 'test-owner/test-repo',
+          workflow: '4242',
+          timestamp: now - 60000
+        })
+      )
+      mockOctokit.rest.actions.getWorkflowRun.mockResolvedValue({
+        data: { status: 'in_progress', conclusion: null }
+      })
+
+      await gitMutex.checkAndCleanExpiredLock()
+      await gitMutex.checkAndCleanExpiredLock()
+      expect(mockOctokit.rest.actions.getWorkflowRun).toHaveBeenCalledTimes(1)
+
+      Date.now.mockImplementation(() => now + 200000)
+      await gitMutex.checkAndCleanExpiredLock()
+      expect(mockOctokit.rest.actions.getWorkflowRun).toHaveBeenCalledTimes(2)
+      Date.now.mockRestore()
+    })
+
+    it('keeps the lock when the holder run cannot be looked up', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          repository: 'other-owner/private-repo',
+          workflow: '4242',
+          timestamp: Date.now() - 60000
+        })
+      )
+      mockOctokit.rest.actions.getWorkflowRun.mockRejectedValue({
+        status: 404
+      })
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
+    it('uses the stored timestamp rather than the commit date', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
+      })
+      // Commit date is long ago, but the lock was taken a minute ago
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() - 60000 })
+      )
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
+    it('falls back to the commit date for locks without metadata', async () => {
       mockOctokit.rest.git.getRef.mockResolvedValue({
         data: { object: { sha: 'old-sha' } }
       })
       mockOctokit.rest.git.getCommit.mockResolvedValue({
         data: {
+          message: 'Some commit',
           author: {
             date: new Date(Date.now() - 700000).toISOString() // 11+ minutes ago
           }
@@ -163,17 +772,38 @@ describe('GitMutex', () => {
       expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalled()
     })
 
-    it('does not clean non-expired lock', async () => {
+    it('measures age from the last heartbeat', async () => {
       mockOctokit.rest.git.getRef.mockResolvedValue({
         data: { object: { sha: 'current-sha' } }
       })
-      mockOctokit.rest.git.getCommit.mockResolvedValue({
-        data: {
-          author: {
-            date: new Date(Date.now() - 60000).toISOString() // 1 minute ago
-          }
-        }
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({
+          id: 'other-lock',
+          timestamp: Date.now() - 3600000, // acquired an hour ago
+          heartbeat: Date.now() - 60000 // renewed a minute ago
+        })
+      )
+
+      const result = await gitMutex.checkAndCleanExpiredLock()
+
+      expect(result).toBe(false)
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+
+    it('honors a custom TTL', async () => {
+      gitMutex = new GitMutex(
+        mockOctokit,
+        'test-owner',
+        'test-repo',
+        'test-key',
+        { ttlMs: 3600000 }
+      )
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'current-sha' } }
       })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: 'other-lock', timestamp: Date.now() - 700000 })
+      )
 
       const result = await gitMutex.checkAndCleanExpiredLock()
 
@@ -189,4 +819,98 @@ describe('GitMutex', () => {
       expect(result).toBe(true)
     })
   })
+
+  describe('mutex token', () => {
+    it('round-trips the lock identity', () => {
+      const token = gitMutex.getToken()
+      const restored = GitMutex.fromToken(mockOctokit, token)
+
+      expect(restored.owner).toBe('test-owner')
+      expect(restored.repo).toBe('test-repo')
+      expect(restored.lockKey).toBe('test-key')
+      expect(restored.lockRef).toBe('mutex/test-key')
+      expect(restored.lockData.id).toBe(gitMutex.lockData.id)
+      expect(restored.acquired).toBe(true)
+    })
+
+    it('releases a lock restored from a token', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { object: { sha: 'lock-sha' } }
+      })
+      mockOctokit.rest.git.getCommit.mockResolvedValue(
+        lockCommit({ id: gitMutex.lockData.id, timestamp: Date.now() })
+      )
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({})
+
+      const restored = GitMutex.fromToken(mockOctokit, gitMutex.getToken())
+      await restored.releaseLock()
+
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex/test-key'
+      })
+    })
+
+    it('rejects malformed tokens', () => {
+      expect(() => GitMutex.fromToken(mockOctokit, 'not-a-token')).toThrow(
+        'Invalid mutex token'
+      )
+      expect(() =>
+        GitMutex.fromToken(
+          mockOctokit,
+          Buffer.from(JSON.stringify({ key: 'k' })).toString('base64')
+        )
+      ).toThrow('Invalid mutex token')
+    })
+  })
+
+  describe('getRetryDelay', () => {
+    it('uses a fixed interval by default', () => {
+      expect(gitMutex.getRetryDelay(0, 3000)).toBe(3000)
+      expect(gitMutex.getRetryDelay(5, 3000)).toBe(3000)
+    })
+
+    it('backs off exponentially with jitter', () => {
+      gitMutex = new GitMutex(
+        mockOctokit,
+        'test-owner',
+        'test-repo',
+        'test-key',
+        { backoff: 'exponential' }
+      )
+      const random = jest.spyOn(Math, 'random')
+
+      random.mockReturnValue(0)
+      expect(gitMutex.getRetryDelay(0, 1000)).toBe(500)
+      expect(gitMutex.getRetryDelay(3, 1000)).toBe(4000)
+
+      random.mockReturnValue(1)
+      expect(gitMutex.getRetryDelay(3, 1000)).toBe(8000)
+      // Capped at 60 seconds
+      expect(gitMutex.getRetryDelay(20, 1000)).toBe(60000)
+
+      random.mockRestore()
+    })
+  })
+
+  describe('describeHolder', () => {
+    it('describes the holding run and job', () => {
+      expect(
+        GitMutex.describeHolder({
+          repository: 'test-owner/test-repo',
+          workflow: '42',
+          attempt: '2',
+          job: 'build'
+        })
+      ).toBe('test-owner/test-repo run 42 attempt 2 (job build)')
+    })
+
+    it('handles unknown holders', () => {
+      expect(GitMutex.describeHolder(null)).toBe('unknown holder')
+      expect(GitMutex.describeHolder({ id: null, timestamp: 0 })).toBe(
+        'unknown holder'
+      )
+    })
+  })
 })
@@ -8,7 +8,10 @@ const mockOctokit = {
   rest: {
     actions: {
       listSelfHostedRunnersForOrg: jest.fn(),
-      listSelfHostedRunnersForRepo: jest.fn()
+      listSelfHostedRunnersForRepo: jest.fn(),
+      listSelfHostedRunnerGroupsForOrg: jest.fn(),
+      listWorkflowRunsForRepo: jest.fn(),
+      listJobsForWorkflowRun: jest.fn()
     },
     billing: {
       getGithubActionsBillingOrg: jest.fn(),
@@ -16,9 +19,42 @@ const mockOctokit = {
     },
     orgs: {
       get: jest.fn()
+    },
+    users: {
+      getByUsername: jest.fn()
+    },
+    repos: {
+      get: jest.fn()
     }
   },
-  request: jest.fn()
+  request: jest.fn(),
+  hook: {
+    wrap: jest.fn()
+  },
+  // Follows "next" links like octokit.paginate, unwrapping the list in each
+  // response. Routes are resolved through request().
+  paginate: jest.fn(
+    async (method, params, mapFn = (response) => response.data) => {
+      const results = []
+      let done = false
+      while (!done) {
+        const response =
+          typeof method === 'string'
+            ? await mockOctokit.request(method, params)
+            : await method(params)
+        const listKey = Object.keys(response.data).find((key) =>
+          Array.isArray(response.data[key])
+        )
+        done = !/rel="next"/.test(response.headers?.link ?? '')
+        results.push(
+          ...mapFn({ ...response, data: response.data[listKey] }, () => {
+            done = true
+          })
+        )
+      }
+      return results
+    }
+  )
 }
 
 jest.unstable_mockModule('@octokit/rest', () => ({
@@ -26,6 +62,7 @@ jest.unstable_mockModule('@octokit/rest', () => ({
 }))
 
 const { GitHubAPI } = await import('../src/github-api.js')
+const { RunnerApiError } = await import('../src/errors.js')
 
 describe('GitHubAPI', () => {
   let githubApi
@@ -33,6 +70,9 @@ describe('GitHubAPI', () => {
   beforeEach(() => {
     githubApi = new GitHubAPI('fake-token')
     jest.clearAllMocks()
+    mockOctokit.rest.actions.listSelfHostedRunnerGroupsForOrg.mockResolvedValue(
+      { data: { runner_groups: [] } }
+    )
   })
 
   describe('getSelfHostedRunners', () => {
@@ -53,7 +93,8 @@ describe('GitHubAPI', () => {
       expect(
         mockOctokit.rest.actions.listSelfHostedRunnersForOrg
       ).toHaveBeenCalledWith({
-        org: 'test-org'
+        org: 'test-org',
+        per_page: 100
       })
       // Should only have org runners since repo is null
       expect(result).toEqual([{ ...mockOrgRunners[0], _source: 'org' }])
@@ -83,13 +124,15 @@ describe('GitHubAPI', () => {
       expect(
         mockOctokit.rest.actions.listSelfHostedRunnersForOrg
       ).toHaveBeenCalledWith({
-        org: 'test-org'
+        org: 'test-org',
+        per_page: 100
       })
       expect(
         mockOctokit.rest.actions.listSelfHostedRunnersForRepo
       ).toHaveBeenCalledWith({
         owner: 'test-org',
-        repo: 'test-repo'
+        repo: 'test-repo',
+        per_page: 100
       })
 
       // Should have both repo and org runners (repo comes first now)
@@ -117,16 +160,206 @@ describe('GitHubAPI', () => {
         mockOctokit.rest.actions.listSelfHostedRunnersForRepo
       ).toHaveBeenCalledWith({
         owner: 'test-user',
-        repo: 'test-repo'
+        repo: 'test-repo',
+        per_page: 100
       })
       // Now all runners have _source field
       expect(result).toEqual([{ ...mockRunners[0], _source: 'repo' }])
     })
 
+    it('reads every page of a large runner fleet', async () => {
+      const runnerPage = (start) => ({
+        data: {
+          runners: Array.from({ length: 100 }, (_, i) => ({
+            id: start + i,
+            status: 'online',
+            busy: false
+          }))
+        },
+        headers: { link: '<https://api.github.com/next>; rel="next"' }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg
+        .mockResolvedValueOnce(runnerPage(0))
+        .mockResolvedValueOnce(runnerPage(100))
+        .mockResolvedValueOnce({
+          data: { runners: [{ id: 200, status: 'online', busy: false }] },
+          headers: {}
+        })
+
+      const result = await githubApi.getSelfHostedRunners(
+        'test-org',
+        null,
+        true
+      )
+
+      expect(result).toHaveLength(201)
+      expect(result[200]).toEqual({
+        id: 200,
+        status: 'online',
+        busy: false,
+        _source: 'org'
+      })
+    })
+
+    it('stops listing runners at the page limit', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation()
+      githubApi = new GitHubAPI('fake-token', { runnerPageLimit: 1 })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockResolvedValue({
+        data: { runners: [{ id: 1, status: 'online', busy: false }] },
+        headers: { link: '<https://api.github.com/next>; rel="next"' }
+      })
+
+      const result = await githubApi.getSelfHostedRunners(
+        'test-org',
+        null,
+        true
+      )
+
+      expect(result).toHaveLength(1)
+      expect(
+        mockOctokit.rest.actions.listSelfHostedRunnersForOrg
+      ).toHaveBeenCalledTimes(1)
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'Runner listing stopped after 1 pages, some runners were not considered'
+      )
+      consoleSpy.mockRestore()
+    })
+
+    it('includes enterprise runners when an enterprise is set', async () => {
+      githubApi = new GitHubAPI('fake-token', { enterprise: 'test-ent' })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockResolvedValue({
+        data: { runners: [{ id: 1, name: 'org-runner' }] }
+      })
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          runners: [
+            { id: 1, name: 'org-runner' },
+            { id: 3, name: 'enterprise-runner' }
+          ]
+        }
+      })
+
+      const result = await githubApi.getSelfHostedRunners(
+        'test-org',
+        null,
+        true
+      )
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /enterprises/{enterprise}/actions/runners',
+        { enterprise: 'test-ent', per_page: 100 }
+      )
+      // Runners listed at several levels are only counted once
+      expect(result).toEqual([
+        { id: 1, name: 'org-runner', _source: 'org' },
+        { id: 3, name: 'enterprise-runner', _source: 'enterprise' }
+      ])
+    })
+
+    it('marks runners in runner groups the repository cannot use', async () => {
+      githubApi = new GitHubAPI('fake-token', { enterprise: 'test-ent' })
+      mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockResolvedValue({
+        data: { runners: [{ id: 1, runner_group_id: 9 }] }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockResolvedValue({
+        data: {
+          runners: [
+            { id: 2, runner_group_id: 1 },
+            { id: 3, runner_group_id: 5 }
+          ]
+        }
+      })
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          runners: [
+            { id: 4, runner_group_id: 7 },
+            { id: 5, runner_group_id: 8 }
+          ]
+        }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnerGroupsForOrg.mockResolvedValue(
+        {
+          data: {
+            runner_groups: [
+              { id: 1, name: 'Default' },
+              { id: 7, name: 'Shared from enterprise', inherited: true }
+            ]
+          }
+        }
+      )
+
+      const result = await githubApi.getSelfHostedRunners(
+        'test-org',
+        'test-repo',
+        true
+      )
+
+      expect(
+        mockOctokit.rest.actions.listSelfHostedRunnerGroupsForOrg
+      ).toHaveBeenCalledWith({
+        org: 'test-org',
+        visible_to_repository: 'test-repo',
+        per_page: 100
+      })
+      const excluded = result
+        .filter((runner) => runner._groupAllowed === false)
+        .map((runner) => runner.id)
+      expect(excluded).toEqual([3, 5])
+    })
+
+    it('does not check runner groups when there are none', async () => {
+      mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockResolvedValue({
+        data: { runners: [] }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockResolvedValue({
+        data: { runners: [{ id: 2, runner_group_id: 5 }] }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnerGroupsForOrg.mockRejectedValue(
+        { status: 404, message: 'Not Found' }
+      )
+
+      const result = await githubApi.getSelfHostedRunners(
+        'test-org',
+        'test-repo',
+        true
+      )
+
+      expect(result).toEqual([{ id: 2, runner_group_id: 5, _source: 'org' }])
+    })
+
+    it('reports runner groups that cannot be listed as a failed level', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation()
+      mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockResolvedValue({
+        data: { runners: [{ id: 1, runner_group_id: 1 }] }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockResolvedValue({
+        data: { runners: [{ id: 2, runner_group_id: 5 }] }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnerGroupsForOrg.mockRejectedValue(
+        { status: 403, message: 'Must have admin rights to Repository.' }
+      )
+
+      const error = await githubApi
+        .getSelfHostedRunners('test-org', 'test-repo', true)
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(RunnerApiError)
+      expect(error.describeLevels()).toBe('runner-groups level (403)')
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'Runner groups could not be listed (403)'
+      )
+      // Grouped organization runners are not known to be usable
+      expect(error.runners).toEqual([
+        { id: 1, runner_group_id: 1, _source: 'repo' },
+        { id: 2, runner_group_id: 5, _source: 'org', _groupAllowed: false }
+      ])
+      consoleSpy.mockRestore()
+    })
+
     it('returns empty array when no self-hosted runners are configured', async () => {
       mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockRejectedValue({
-        status: 403,
-        message: 'Resource not accessible by personal access token'
+        status: 404,
+        message: 'Not Found'
       })
 
       const result = await githubApi.getSelfHostedRunners(
@@ -140,12 +373,12 @@ describe('GitHubAPI', () => {
 
     it('handles when both org and repo have no runners configured', async () => {
       mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockRejectedValue({
-        status: 403,
-        message: 'Resource not accessible by personal access token'
+        status: 404,
+        message: 'Not Found'
       })
       mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockRejectedValue({
-        status: 403,
-        message: 'Resource not accessible by personal access token'
+        status: 404,
+        message: 'Not Found'
       })
 
       const result = await githubApi.getSelfHostedRunners(
@@ -156,6 +389,60 @@ describe('GitHubAPI', () => {
 
       expect(result).toEqual([])
     })
+
+    it('reports permission errors with the failed level', async () => {
+      mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockResolvedValue({
+        data: { runners: [{ id: 1, name: 'repo-runner' }] }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockRejectedValue({
+        status: 403,
+        message: 'Resource not accessible by personal access token'
+      })
+
+      const error = await githubApi
+        .getSelfHostedRunners('test-org', 'test-repo', true)
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(RunnerApiError)
+      expect(error.message).toBe(
+        'Failed to list self-hosted runners: org level (403: Resource not accessible by personal access token)'
+      )
+      expect(error.failures).toEqual([
+        {
+          level: 'org',
+          status: 403,
+          kind: 'auth',
+          message: 'Resource not accessible by personal access token'
+        }
+      ])
+      expect(error.describeLevels()).toBe('org level (403)')
+      // Runners of the levels that could be listed are kept
+      expect(error.runners).toEqual([
+        { id: 1, name: 'repo-runner', _source: 'repo' }
+      ])
+    })
+
+    it('classifies rate limits and server errors', async () => {
+      mockOctokit.rest.actions.listSelfHostedRunnersForRepo.mockRejectedValue({
+        status: 403,
+        message: 'API rate limit exceeded',
+        response: { headers: { 'x-ratelimit-remaining': '0' } }
+      })
+      mockOctokit.rest.actions.listSelfHostedRunnersForOrg.mockRejectedValue({
+        status: 502,
+        message: 'Bad Gateway'
+      })
+
+      const error = await githubApi
+        .getSelfHostedRunners('test-org', 'test-repo', true)
+        .catch((e) => e)
+
+      expect(error.failures.map((failure) => failure.kind)).toEqual([
+        'rate-limit',
+        'server'
+      ])
+      expect(error.describeLevels()).toBe('repo level (403), org level (502)')
+    })
   })
 
   describe('getBillingInfo', () => {
@@ -175,7 +462,11 @@ describe('GitHubAPI', () => {
       ).toHaveBeenCalledWith({
         org: 'test-org'
       })
-      expect(result).toEqual(mockBilling)
+      expect(result).toEqual({
+        ...mockBilling,
+        included_minutes_source: 'billing',
+        estimated: false
+      })
     })
 
     it('falls back to enhanced API for organizations when legacy API fails', async () => {
@@ -218,7 +509,12 @@ describe('GitHubAPI', () => {
         included_minutes: 3000,
         minutes_used_breakdown: {
           total: 1000
-        }
+        },
+        minutes_multiplied: false,
+        net_amount: 0,
+        gross_amount: 0,
+        included_minutes_source: 'default',
+        estimated: true
       })
     })
 
@@ -238,7 +534,11 @@ describe('GitHubAPI', () => {
       ).toHaveBeenCalledWith({
         username: 'test-user'
       })
-      expect(result).toEqual(mockBilling)
+      expect(result).toEqual({
+        ...mockBilling,
+        included_minutes_source: 'billing',
+        estimated: false
+      })
     })
 
     it('falls back to enhanced API for users when legacy API fails', async () => {
@@ -276,7 +576,12 @@ describe('GitHubAPI', () => {
         included_minutes: 3000,
         minutes_used_breakdown: {
           total: 500
-        }
+        },
+        minutes_multiplied: false,
+        net_amount: 0,
+        gross_amount: 0,
+        included_minutes_source: 'default',
+        estimated: true
       })
     })
 
@@ -297,8 +602,347 @@ describe('GitHubAPI', () => {
         included_minutes: 3000,
         minutes_used_breakdown: {
           total: 0
+        },
+        unavailable: true,
+        included_minutes_source: 'default',
+        estimated: true
+      })
+    })
+
+    it('breaks enhanced API usage down by runner OS', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockRejectedValue(
+        new Error('Legacy API not available')
+      )
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          usageItems: [
+            {
+              product: 'actions',
+              sku: 'Actions Linux',
+              quantity: 300,
+              unitType: 'Minutes'
+            },
+            {
+              product: 'actions',
+              sku: 'Actions macOS 3-core',
+              quantity: 20,
+              unitType: 'Minutes'
+            },
+            {
+              product: 'actions',
+              sku: 'Actions Linux',
+              quantity: 100,
+              unitType: 'Minutes'
+            }
+          ]
+        }
+      })
+
+      const result = await githubApi.getBillingInfo('test-org', true)
+
+      expect(result.minutes_used_breakdown).toEqual({
+        total: 420,
+        UBUNTU: 400,
+        MACOS: 20
+      })
+      // Usage report quantities are raw job minutes
+      expect(result.minutes_multiplied).toBe(false)
+    })
+
+    it('reads the Actions spend from the enhanced usage report', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockRejectedValue(
+        new Error('Legacy API not available')
+      )
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          usageItems: [
+            {
+              product: 'actions',
+              quantity: 5000,
+              unitType: 'Minutes',
+              grossAmount: 40,
+              netAmount: 16.4
+            },
+            {
+              product: 'actions',
+              quantity: 2,
+              unitType: 'GigabyteHours',
+              grossAmount: 0.1,
+              netAmount: 0.1
+            },
+            {
+              product: 'codespaces',
+              quantity: 10,
+              unitType: 'Hours',
+              grossAmount: 1.8,
+              netAmount: 1.8
+            }
+          ]
         }
       })
+
+      const result = await githubApi.getBillingInfo('test-org', true, {
+        spend: true
+      })
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1)
+      expect(result).toMatchObject({
+        total_minutes_used: 5000,
+        net_amount: 16.5,
+        gross_amount: 40.1
+      })
+    })
+
+    it('reads the spend next to the legacy billing API when asked', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockResolvedValue({
+        data: { total_minutes_used: 3500, included_minutes: 3000 }
+      })
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          usageItems: [
+            {
+              product: 'actions',
+              unitType: 'Minutes',
+              grossAmount: 28,
+              netAmount: 4
+            }
+          ]
+        }
+      })
+
+      const result = await githubApi.getBillingInfo('test-org', true, {
+        spend: true
+      })
+
+      expect(result).toMatchObject({
+        total_minutes_used: 3500,
+        net_amount: 4,
+        gross_amount: 28
+      })
+    })
+
+    it('leaves the spend unknown when the usage report fails', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockResolvedValue({
+        data: { total_minutes_used: 3500, included_minutes: 3000 }
+      })
+      mockOctokit.request.mockRejectedValue({ status: 404 })
+
+      const result = await githubApi.getBillingInfo('test-org', true, {
+        spend: true
+      })
+
+      expect(result.net_amount).toBeUndefined()
+      expect(result.total_minutes_used).toBe(3500)
+    })
+
+    it('derives included minutes from the organization plan', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockRejectedValue(
+        new Error('Legacy API not available')
+      )
+      mockOctokit.request.mockResolvedValue({
+        data: {
+          usageItems: [
+            { product: 'actions', quantity: 12000, unitType: 'Minutes' }
+          ]
+        }
+      })
+      mockOctokit.rest.orgs.get.mockResolvedValue({
+        data: { plan: { name: 'enterprise' } }
+      })
+
+      const result = await githubApi.getBillingInfo('test-org', true)
+
+      expect(mockOctokit.rest.orgs.get).toHaveBeenCalledWith({
+        org: 'test-org'
+      })
+      expect(result).toMatchObject({
+        total_minutes_used: 12000,
+        included_minutes: 50000,
+        included_minutes_source: 'plan "enterprise"',
+        estimated: false
+      })
+    })
+
+    it('derives included minutes from the user plan', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingUser.mockRejectedValue({
+        status: 410,
+        message: 'This endpoint has been moved'
+      })
+      mockOctokit.request.mockRejectedValue({
+        status: 410,
+        message: 'This endpoint has been moved'
+      })
+      mockOctokit.rest.users.getByUsername.mockResolvedValue({
+        data: { plan: { name: 'free' } }
+      })
+
+      const result = await githubApi.getBillingInfo('test-user', false)
+
+      expect(result).toMatchObject({
+        included_minutes: 2000,
+        included_minutes_source: 'plan "free"',
+        // Usage is unknown without the billing APIs
+        estimated: true
+      })
+    })
+
+    it('estimates included minutes when the plan is not visible', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockRejectedValue(
+        new Error('Legacy API not available')
+      )
+      mockOctokit.request.mockResolvedValue({ data: { usageItems: [] } })
+      mockOctokit.rest.orgs.get.mockResolvedValue({ data: {} })
+
+      const result = await githubApi.getBillingInfo('test-org', true)
+
+      expect(result).toMatchObject({
+        included_minutes: 3000,
+        included_minutes_source: 'default',
+        estimated: true
+      })
+    })
+
+    it('prefers the included-minutes override', async () => {
+      const overrideApi = new GitHubAPI('fake-token', {
+        includedMinutes: 10000
+      })
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockResolvedValue({
+        data: { total_minutes_used: 1000, included_minutes: 3000 }
+      })
+
+      const result = await overrideApi.getBillingInfo('test-org', true)
+
+      expect(result).toMatchObject({
+        total_minutes_used: 1000,
+        included_minutes: 10000,
+        included_minutes_source: 'override',
+        estimated: false
+      })
+      expect(mockOctokit.rest.orgs.get).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('GitHub Enterprise Server', () => {
+    it('sends requests to the configured API URL', async () => {
+      const { Octokit } = await import('@octokit/rest')
+
+      new GitHubAPI('fake-token', {
+        apiUrl: 'https://ghes.example.com/api/v3/'
+      })
+
+      expect(Octokit).toHaveBeenCalledWith({
+        auth: 'fake-token',
+        baseUrl: 'https://ghes.example.com/api/v3'
+      })
+    })
+
+    it('treats GitHub-hosted capacity as unlimited without billing APIs', async () => {
+      const ghesApi = new GitHubAPI('fake-token', {
+        apiUrl: 'https://ghes.example.com/api/v3'
+      })
+
+      const result = await ghesApi.getBillingInfo('test-org', true)
+
+      expect(result.included_minutes).toBe(Infinity)
+      expect(result.total_minutes_used).toBe(0)
+      expect(ghesApi.hasSufficientGitHubHostedMinutes(result, 1000)).toBe(true)
+      expect(
+        mockOctokit.rest.billing.getGithubActionsBillingOrg
+      ).not.toHaveBeenCalled()
+      expect(mockOctokit.request).not.toHaveBeenCalled()
+    })
+
+    it('uses the included-minutes override on GitHub Enterprise Server', async () => {
+      const ghesApi = new GitHubAPI('fake-token', {
+        apiUrl: 'https://ghes.example.com/api/v3',
+        includedMinutes: 500
+      })
+
+      const result = await ghesApi.getBillingInfo('test-org', true)
+
+      expect(result.included_minutes).toBe(500)
+      expect(result.included_minutes_source).toBe('override')
+    })
+
+    it('keeps the billing APIs for GitHub.com', () => {
+      expect(
+        new GitHubAPI('fake-token', { apiUrl: 'https://api.github.com' })
+          .enterpriseServer
+      ).toBe(false)
+    })
+  })
+
+  describe('caching', () => {
+    let entries
+    let cachedApi
+
+    beforeEach(() => {
+      entries = {}
+      cachedApi = new GitHubAPI('fake-token', {
+        cache: {
+          key: (kind, owner) => `${kind}/${owner}/2024-05`,
+          get: jest.fn(async (key) => entries[key]),
+          set: jest.fn(async (key, value) => {
+            entries[key] = value
+          })
+        }
+      })
+      jest.spyOn(console, 'log').mockImplementation()
+    })
+
+    afterEach(() => {
+      console.log.mockRestore()
+    })
+
+    it('reuses billing information within the cache lifetime', async () => {
+      mockOctokit.rest.billing.getGithubActionsBillingOrg.mockResolvedValue({
+        data: { total_minutes_used: 1000, included_minutes: 3000 }
+      })
+
+      const first = await cachedApi.getBillingInfo('test-org', true)
+      const second = await cachedApi.getBillingInfo('test-org', true)
+
+      expect(second).toEqual(first)
+      expect(
+        mockOctokit.rest.billing.getGithubActionsBillingOrg
+      ).toHaveBeenCalledTimes(1)
+      expect(console.log).toHaveBeenCalledWith(
+        'Cache miss: billing/test-org/2024-05'
+      )
+      expect(console.log).toHaveBeenCalledWith(
+        'Cache hit: billing/test-org/2024-05'
+      )
+    })
+
+    it('reuses the owner type', async () => {
+      mockOctokit.rest.orgs.get.mockRejectedValue({ status: 404 })
+
+      expect(await cachedApi.isOrganization('test-user')).toBe(false)
+      expect(await cachedApi.isOrganization('test-user')).toBe(false)
+      expect(mockOctokit.rest.orgs.get).toHaveBeenCalledTimes(1)
+    })
+
+    it('applies the included-minutes override to cached billing', async () => {
+      entries['billing/test-org/2024-05'] = {
+        total_minutes_used: 1000,
+        included_minutes: 3000
+      }
+      cachedApi.includedMinutes = 10000
+
+      const result = await cachedApi.getBillingInfo('test-org', true)
+
+      expect(result.included_minutes).toBe(10000)
+      expect(
+        mockOctokit.rest.billing.getGithubActionsBillingOrg
+      ).not.toHaveBeenCalled()
+    })
+
+    it('looks up directly when the cache fails', async () => {
+      cachedApi.cache.get.mockRejectedValue(new Error('disk full'))
+      mockOctokit.rest.orgs.get.mockResolvedValue({ data: {} })
+
+      expect(await cachedApi.isOrganization('test-org')).toBe(true)
+      expect(console.log).toHaveBeenCalledWith('Cache unavailable: disk full')
     })
   })
 
@@ -339,6 +983,184 @@ describe('GitHubAPI', () => {
     })
   })
 
+  describe('getQueuedJobs', () => {
+    it('lists the queued jobs of queued and in-progress runs', async () => {
+      mockOctokit.rest.actions.listWorkflowRunsForRepo.mockImplementation(
+        async ({ status }) => ({
+          data: {
+            workflow_runs: status === 'queued' ? [{ id: 1 }] : [{ id: 2 }]
+          }
+        })
+      )
+      mockOctokit.rest.actions.listJobsForWorkflowRun.mockImplementation(
+        async ({ run_id }) => ({
+          data: {
+            jobs:
+              run_id === 1
+                ? [{ id: 10, run_id, status: 'queued', labels: ['linux'] }]
+                : [
+                    {
+                      id: 20,
+                      run_id,
+                      status: 'in_progress',
+                      labels: ['linux']
+                    },
+                    { id: 21, run_id, status: 'queued', labels: ['gpu'] }
+                  ]
+          }
+        })
+      )
+
+      const jobs = await githubApi.getQueuedJobs('test-org', 'test-repo')
+
+      expect(
+        mockOctokit.rest.actions.listWorkflowRunsForRepo
+      ).toHaveBeenCalledWith({
+        owner: 'test-org',
+        repo: 'test-repo',
+        status: 'queued',
+        per_page: 20
+      })
+      expect(
+        mockOctokit.rest.actions.listWorkflowRunsForRepo
+      ).toHaveBeenCalledWith({
+        owner: 'test-org',
+        repo: 'test-repo',
+        status: 'in_progress',
+        per_page: 19
+      })
+      expect(
+        mockOctokit.rest.actions.listJobsForWorkflowRun
+      ).toHaveBeenCalledWith({
+        owner: 'test-org',
+        repo: 'test-repo',
+        run_id: 2,
+        filter: 'latest',
+        per_page: 100
+      })
+      expect(jobs).toEqual([
+        { id: 10, run_id: 1, labels: ['linux'] },
+        { id: 21, run_id: 2, labels: ['gpu'] }
+      ])
+    })
+
+    it('reads the jobs of at most 20 runs, a few at a time', async () => {
+      mockOctokit.rest.actions.listWorkflowRunsForRepo.mockImplementation(
+        async ({ per_page }) => ({
+          data: {
+            workflow_runs: Array.from({ length: per_page }, (_, id) => ({ id }))
+          }
+        })
+      )
+      let inFlight = 0
+      let maxInFlight = 0
+      mockOctokit.rest.actions.listJobsForWorkflowRun.mockImplementation(
+        async ({ run_id }) => {
+          maxInFlight = Math.max(maxInFlight, ++inFlight)
+          await new Promise((resolve) => setTimeout(resolve, 1))
+          inFlight--
+          return { data: { jobs: [{ id: run_id, run_id, status: 'queued' }] } }
+        }
+      )
+
+      const jobs = await githubApi.getQueuedJobs('test-org', 'test-repo')
+
+      expect(jobs).toHaveLength(20)
+      // Enough queued runs, in-progress runs are not listed
+      expect(
+        mockOctokit.rest.actions.listWorkflowRunsForRepo
+      ).toHaveBeenCalledTimes(1)
+      expect(
+        mockOctokit.rest.actions.listJobsForWorkflowRun
+      ).toHaveBeenCalledTimes(20)
+      expect(maxInFlight).toBe(4)
+    })
+  })
+
+  describe('canWriteRepository', () => {
+    it('returns true when the token can push', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { permissions: { pull: true, push: true } }
+      })
+
+      const result = await githubApi.canWriteRepository('test-org', 'locks')
+
+      expect(mockOctokit.rest.repos.get).toHaveBeenCalledWith({
+        owner: 'test-org',
+        repo: 'locks'
+      })
+      expect(result).toBe(true)
+    })
+
+    it('returns false for read-only access', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { permissions: { pull: true, push: false } }
+      })
+
+      expect(await githubApi.canWriteRepository('test-org', 'locks')).toBe(
+        false
+      )
+    })
+
+    it('returns true when permissions are not reported', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: {} })
+
+      expect(await githubApi.canWriteRepository('test-org', 'locks')).toBe(true)
+    })
+
+    it('returns false for inaccessible repositories (404 error)', async () => {
+      mockOctokit.rest.repos.get.mockRejectedValue({ status: 404 })
+
+      expect(await githubApi.canWriteRepository('test-org', 'locks')).toBe(
+        false
+      )
+    })
+  })
+
+  describe('getRateLimitSummary', () => {
+    it('reports an unknown budget before any request', () => {
+      expect(githubApi.getRateLimitSummary()).toBe(
+        'GitHub API rate limit: unknown'
+      )
+    })
+
+    it('reports the last seen budget', () => {
+      githubApi.retryState.rateLimit = {
+        remaining: 4200,
+        limit: 5000,
+        reset: 1700000000
+      }
+
+      expect(githubApi.getRateLimitSummary()).toBe(
+        'GitHub API rate limit: 4200/5000 requests remaining, resets at 2023-11-14T22:13:20.000Z'
+      )
+    })
+  })
+
+  describe('countAvailableSelfHostedRunners', () => {
+    it('counts idle online runners with all labels', () => {
+      const runner = (status, busy, ...labels) => ({
+        status,
+        busy,
+        labels: labels.map((name) => ({ name }))
+      })
+      const runners = [
+        runner('online', false, 'self-hosted', 'GPU'),
+        runner('online', false, 'self-hosted', 'gpu'),
+        runner('online', true, 'self-hosted', 'gpu'),
+        runner('offline', false, 'self-hosted', 'gpu'),
+        runner('online', false, 'self-hosted')
+      ]
+
+      expect(
+        githubApi.countAvailableSelfHostedRunners(runners, [
+          'self-hosted',
+          'gpu'
+        ])
+      ).toBe(2)
+    })
+  })
+
   describe('hasAvailableSelfHostedRunners', () => {
     it('returns true when runners are available', () => {
       const runners = [
@@ -420,6 +1242,21 @@ describe('GitHubAPI', () => {
       expect(result).toBe(true)
     })
 
+    it('returns false when runners are in a runner group the repository cannot use', () => {
+      const runners = [
+        {
+          status: 'online',
+          busy: false,
+          labels: [{ name: 'linux' }],
+          _groupAllowed: false
+        }
+      ]
+
+      expect(githubApi.hasAvailableSelfHostedRunners(runners, ['linux'])).toBe(
+        false
+      )
+    })
+
     it('handles empty runners array', () => {
       const runners = []
       const tags = ['linux', 'self-hosted']
@@ -506,6 +1343,25 @@ describe('GitHubAPI', () => {
       expect(result).toBe(false)
     })
 
+    it('counts remaining minutes in job minutes of the hosted labels', () => {
+      const billingInfo = {
+        included_minutes: 3000,
+        total_minutes_used: 1000,
+        minutes_used_breakdown: { UBUNTU: 1000 }
+      }
+
+      expect(
+        githubApi.hasSufficientGitHubHostedMinutes(billingInfo, 1000, {
+          labels: ['ubuntu-latest']
+        })
+      ).toBe(true)
+      expect(
+        githubApi.hasSufficientGitHubHostedMinutes(billingInfo, 1000, {
+          labels: ['macos-latest']
+        })
+      ).toBe(false)
+    })
+
     it('handles case when all minutes are used', () => {
       const billingInfo = {
         included_minutes: 3000,
@@ -0,0 +1,352 @@
+/**
+ * Shared contract tests for the mutex lock backends
+ * Every backend runs against an in-memory fake of the GitHub API it uses.
+ */
+import { jest } from '@jest/globals'
+import { GitMutex } from '../src/git-mutex.js'
+import {
+  createLockBackend,
+  LOCK_BACKENDS,
+  VariableBackend
+} from '../src/lock-backends/index.js'
+
+const httpError = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { status })
+
+// Returns the list payload of a single-page response, like octokit.paginate
+const paginate = async (method, params) => {
+  const { data } = await method(params)
+  return Array.isArray(data) ? data : data.variables
+}
+
+function createGitOctokit() {
+  const refs = new Map()
+  const commits = new Map()
+  let nextSha = 1
+
+  return {
+    paginate,
+    rest: {
+      git: {
+        createTree: async () => ({ data: { sha: 'tree' } }),
+        createCommit: async ({ message, parents }) => {
+          const sha = `sha-${nextSha++}`
+          commits.set(sha, {
+            message,
+            parents,
+            author: { date: new Date().toISOString() }
+          })
+          return { data: { sha } }
+        },
+        getCommit: async ({ commit_sha }) => ({
+          data: commits.get(commit_sha)
+        }),
+        createRef: async ({ ref, sha }) => {
+          const name = ref.replace(/^refs\//, '')
+          if (refs.has(name)) throw httpError(422)
+          refs.set(name, sha)
+          return { data: {} }
+        },
+        getRef: async ({ ref }) => {
+          if (!refs.has(ref)) throw httpError(404)
+          return {
+            data: { ref: `refs/${ref}`, object: { sha: refs.get(ref) } }
+          }
+        },
+        updateRef: async ({ ref, sha }) => {
+          // Only fast-forwards are accepted
+          if (!commits.get(sha).parents.includes(refs.get(ref))) {
+            throw httpError(422)
+          }
+          refs.set(ref, sha)
+          return { data: {} }
+        },
+        deleteRef: async ({ ref }) => {
+          if (!refs.delete(ref)) throw httpError(422)
+          return { data: {} }
+        },
+        listMatchingRefs: async ({ ref }) => ({
+          data: [...refs.keys()]
+            .filter((name) => name.startsWith(ref))
+            .map((name) => ({ ref: `refs/${name}` }))
+        })
+      }
+    }
+  }
+}
+
+function createVariableOctokit() {
+  const variables = new Map()
+
+  return {
+    paginate,
+    rest: {
+      actions: {
+        createRepoVariable: async ({ name, value }) => {
+          if (variables.has(name)) throw httpError(409)
+          variables.set(name, value)
+          return { data: {} }
+        },
+        getRepoVariable: async ({ name }) => {
+          if (!variables.has(name)) throw httpError(404)
+          return { data: { name, value: variables.get(name) } }
+        },
+        updateRepoVariable: async ({ name, value }) => {
+          if (!variables.has(name)) throw httpError(404)
+          variables.set(name, value)
+          return { data: {} }
+        },
+        deleteRepoVariable: async ({ name }) => {
+          if (!variables.delete(name)) throw httpError(404)
+          return { data: {} }
+        },
+        listRepoVariables: async () => ({
+          data: {
+            variables: [...variables].map(([name, value]) => ({ name, value }))
+          }
+        })
+      }
+    }
+  }
+}
+
+function createIssueOctokit() {
+  const issues = []
+  const comments = []
+  let nextId = 1
+  let clock = Date.parse('2024-01-01T00:00:00Z')
+  const now = () => new Date((clock += 1000)).toISOString()
+
+  return {
+    paginate,
+    rest: {
+      issues: {
+        listForRepo: async ({ labels }) => ({
+          data: issues.filter((issue) => issue.labels.includes(labels))
+        }),
+        create: async ({ title, labels }) => {
+          const issue = { number: issues.length + 1, title, labels }
+          issues.push(issue)
+          return { data: issue }
+        },
+        listComments: async ({ issue_number }) => ({
+          data: comments.filter((c) => c.issue_number === issue_number)
+        }),
+        createComment: async ({ issue_number, body }) => {
+          const comment = {
+            id: nextId++,
+            issue_number,
+            body,
+            updated_at: now()
+          }
+          comments.push(comment)
+          return { data: comment }
+        },
+        updateComment: async ({ comment_id, body }) => {
+          const comment = comments.find((c) => c.id === comment_id)
+          if (!comment) throw httpError(404)
+          Object.assign(comment, { body, updated_at: now() })
+          return { data: comment }
+        },
+        deleteComment: async ({ comment_id }) => {
+          const index = comments.findIndex((c) => c.id === comment_id)
+          if (index === -1) throw httpError(404)
+          comments.splice(index, 1)
+          return { data: {} }
+        }
+      }
+    }
+  }
+}
+
+const FAKE_OCTOKITS = {
+  'git-ref': createGitOctokit,
+  variable: createVariableOctokit,
+  issue: createIssueOctokit
+}
+
+describe.each(Object.keys(LOCK_BACKENDS))('%s lock backend', (backendName) => {
+  let octokit
+  let backend
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation()
+    jest.spyOn(console, 'error').mockImplementation()
+    octokit = FAKE_OCTOKITS[backendName]()
+    backend = createLockBackend(backendName, octokit, 'owner', 'repo')
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('Creates a record only once', async () => {
+    const version = await backend.create('mutex/key', { timestamp: 1 })
+
+    expect(version).toEqual(expect.any(String))
+    expect(await backend.create('mutex/key', { timestamp: 2 })).toBeNull()
+    expect(await backend.read('mutex/key')).toEqual({
+      version,
+      data: { timestamp: 1 }
+    })
+  })
+
+  it('Reads a missing record as null', async () => {
+    expect(await backend.read('mutex/missing')).toBeNull()
+  })
+
+  it('Updates a record only at the expected version', async () => {
+    const version = await backend.create('mutex/key', { timestamp: 1 })
+
+    const updated = await backend.update(
+      'mutex/key',
+      { timestamp: 1, heartbeat: 2 },
+      version
+    )
+
+    expect(updated).toEqual(expect.any(String))
+    expect(updated).not.toBe(version)
+    expect(
+      await backend.update('mutex/key', { timestamp: 3 }, version)
+    ).toBeNull()
+    expect((await backend.read('mutex/key')).data).toEqual({
+      timestamp: 1,
+      heartbeat: 2
+    })
+  })
+
+  it('Deletes a record', async () => {
+    await backend.create('mutex/key', { timestamp: 1 })
+
+    expect(await backend.delete('mutex/key')).toBe(true)
+    expect(await backend.delete('mutex/key')).toBe(false)
+    expect(await backend.read('mutex/key')).toBeNull()
+  })
+
+  it('Lists records by prefix', async () => {
+    await backend.create('mutex-queue/key/1-a', { timestamp: 1 })
+    await backend.create('mutex-queue/key/2-b', { timestamp: 2 })
+    await backend.create('mutex-queue/other/1-c', { timestamp: 3 })
+
+    const names = await backend.list('mutex-queue/key/')
+
+    expect(names.sort()).toEqual(['mutex-queue/key/1-a', 'mutex-queue/key/2-b'])
+  })
+
+  it('Gives a mutex to one holder at a time', async () => {
+    const first = new GitMutex(octokit, 'owner', 'repo', 'deploy', {
+      backend: backendName
+    })
+    const second = new GitMutex(octokit, 'owner', 'repo', 'deploy', {
+      backend: backendName
+    })
+
+    expect(await first.acquireLock(1000, 10)).toBe(true)
+    expect(await second.tryAcquire()).toBe(false)
+    expect(second.getHolder().id).toBe(first.lockData.id)
+
+    await first.releaseLock()
+
+    expect(await second.tryAcquire()).toBe(true)
+  })
+
+  it('Renews and releases a mutex through its token', async () => {
+    const mutex = new GitMutex(octokit, 'owner', 'repo', 'deploy', {
+      backend: backendName
+    })
+    await mutex.acquireLock(1000, 10)
+
+    const restored = GitMutex.fromToken(octokit, mutex.getToken())
+
+    expect(restored.backendName).toBe(backendName)
+    expect(await restored.renewLock()).toBe(true)
+    expect((await restored.readLock()).data.heartbeat).toEqual(
+      expect.any(Number)
+    )
+    await restored.releaseLock()
+    expect(await mutex.readLock()).toBeNull()
+  })
+
+  it('Takes over an expired mutex', async () => {
+    const stale = new GitMutex(octokit, 'owner', 'repo', 'deploy', {
+      backend: backendName
+    })
+    stale.lockData.timestamp = Date.now() - 3600000
+    await backend.create('mutex/deploy', stale.lockData)
+
+    const mutex = new GitMutex(octokit, 'owner', 'repo', 'deploy', {
+      backend: backendName,
+      ttlMs: 60000
+    })
+
+    expect(await mutex.tryAcquire()).toBe(true)
+    expect((await mutex.readLock()).data.id).toBe(mutex.lockData.id)
+  })
+
+  it('Shares semaphore slots and queues waiters', async () => {
+    const options = { backend: backendName, slots: 2, queue: true }
+    const holders = [1, 2].map(
+      () => new GitMutex(octokit, 'owner', 'repo', 'pool', options)
+    )
+    for (const holder of holders) {
+      expect(await holder.acquireLock(1000, 10)).toBe(true)
+    }
+
+    const waiter = new GitMutex(octokit, 'owner', 'repo', 'pool', options)
+
+    expect(await waiter.tryAcquire()).toBe(false)
+    expect(await backend.list('mutex-queue/pool/')).toEqual([waiter.ticketRef])
+
+    await holders[0].releaseLock()
+
+    expect(await waiter.tryAcquire()).toBe(true)
+    expect(waiter.slot).toBe(holders[0].slot)
+  })
+
+  it('Keeps queue order while the mutex is held past its TTL', async () => {
+    let now = Date.now()
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+    const options = { backend: backendName, queue: true, ttlMs: 60000 }
+    const holder = new GitMutex(octokit, 'owner', 'repo', 'deploy', options)
+    const first = new GitMutex(octokit, 'owner', 'repo', 'deploy', options)
+    const second = new GitMutex(octokit, 'owner', 'repo', 'deploy', options)
+    expect(await holder.acquireLock(1000, 10)).toBe(true)
+
+    expect(await first.tryAcquire()).toBe(false)
+    now += 1
+    expect(await second.tryAcquire()).toBe(false)
+
+    // The holder heartbeats for longer than the TTL while both wait
+    for (let elapsed = 0; elapsed < 90000; elapsed += 30000) {
+      now += 30000
+      expect(await holder.renewLock()).toBe(true)
+      expect(await first.tryAcquire()).toBe(false)
+      expect(await second.tryAcquire()).toBe(false)
+    }
+
+    expect(first.waitingBehind).toBe(0)
+    expect(second.waitingBehind).toBe(1)
+
+    await holder.releaseLock()
+
+    expect(await second.tryAcquire()).toBe(false)
+    expect(await first.tryAcquire()).toBe(true)
+  })
+})
+
+describe('lock backend factory', () => {
+  it('Rejects unknown backends', () => {
+    expect(() => createLockBackend('redis', {}, 'owner', 'repo')).toThrow(
+      'Unknown lock backend: redis'
+    )
+  })
+
+  it('Maps record names to valid variable names', () => {
+    expect(VariableBackend.variableName('mutex/deploy-runner')).toMatch(
+      /^PICK_RUNNER_MUTEX_DEPLOY_RUNNER_[0-9A-F]{8}$/
+    )
+    expect(VariableBackend.variableName('mutex/a-b')).not.toBe(
+      VariableBackend.variableName('mutex/a_b')
+    )
+  })
+})
@@ -2,6 +2,9 @@
  * Unit tests for the action's main functionality, src/main.js
  */
 import { jest } from '@jest/globals'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 import * as core from '../__fixtures__/core.js'
 
 // Mock GitHubAPI
@@ -9,8 +12,9 @@ const mockGitHubAPI = {
   getSelfHostedRunners: jest.fn(),
   getBillingInfo: jest.fn(),
   isOrganization: jest.fn(),
-  hasAvailableSelfHostedRunners: jest.fn(),
-  hasSufficientGitHubHostedMinutes: jest.fn(),
+  canWriteRepository: jest.fn(),
+  getRateLimitSummary: jest.fn(),
+  getQueuedJobs: jest.fn(),
   octokit: {
     rest: {
       git: {
@@ -23,10 +27,41 @@ const mockGitHubAPI = {
   }
 }
 
+// Self-hosted runners as listed by the API
+const runner = (busy, ...labels) => ({
+  status: 'online',
+  busy,
+  labels: labels.map((name) => ({ name }))
+})
+const idleRunners = [runner(false, 'linux', 'self-hosted')]
+
+// Runner labels every acquire needs, for tests about other inputs
+const tagInputs = {
+  'self-hosted-tags': 'linux,self-hosted',
+  'github-hosted-tags': 'ubuntu-latest'
+}
+
+// Billing that leaves 500 of the 1000 minutes required by default
+const exhaustedBilling = { included_minutes: 3000, total_minutes_used: 2500 }
+
 // Mock GitMutex
 const mockGitMutex = {
+  lockKey: 'test-mutex',
+  queuePosition: null,
   acquireLock: jest.fn(),
-  releaseLock: jest.fn()
+  releaseLock: jest.fn(),
+  renewLock: jest.fn(),
+  getToken: jest.fn(),
+  getHolder: jest.fn()
+}
+const MockGitMutex = jest.fn().mockImplementation(() => mockGitMutex)
+MockGitMutex.fromToken = jest.fn()
+MockGitMutex.describeHolder = jest.fn()
+
+// Mock mutex maintenance
+const mockMutexStatus = {
+  listMutexLocks: jest.fn(),
+  forceUnlockMutexes: jest.fn()
 }
 
 // Mocks should be declared before the module being tested is imported.
@@ -35,11 +70,19 @@ jest.unstable_mockModule('../src/github-api.js', () => ({
   GitHubAPI: jest.fn().mockImplementation(() => mockGitHubAPI)
 }))
 jest.unstable_mockModule('../src/git-mutex.js', () => ({
-  GitMutex: jest.fn().mockImplementation(() => mockGitMutex)
+  GitMutex: MockGitMutex
+}))
+jest.unstable_mockModule('../src/mutex-status.js', () => mockMutexStatus)
+jest.unstable_mockModule('../src/app-auth.js', () => ({
+  getAppInstallationToken: jest.fn()
 }))
 
 // The module being tested should be imported dynamically.
-const { run } = await import('../src/main.js')
+const { run, post } = await import('../src/main.js')
+const { GitHubAPI } = await import('../src/github-api.js')
+const { getAppInstallationToken } = await import('../src/app-auth.js')
+const { BillingCache } = await import('../src/billing-cache.js')
+const { RunnerApiError } = await import('../src/errors.js')
 
 describe('main.js', () => {
   beforeEach(() => {
@@ -55,7 +98,7 @@ describe('main.js', () => {
         case 'github-token':
           return 'fake-token'
         default:
-          return ''
+          return tagInputs[input] ?? ''
       }
     })
 
@@ -64,28 +107,33 @@ describe('main.js', () => {
     process.env.GITHUB_REPOSITORY = 'test-org/test-repo'
 
     // Default mock implementations
+    GitHubAPI.mockImplementation(() => mockGitHubAPI)
     mockGitHubAPI.getSelfHostedRunners.mockResolvedValue([])
     mockGitHubAPI.getBillingInfo.mockResolvedValue({
       included_minutes: 3000,
       total_minutes_used: 1000
     })
     mockGitHubAPI.isOrganization.mockResolvedValue(true)
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(false)
-    mockGitHubAPI.hasSufficientGitHubHostedMinutes.mockReturnValue(true)
+    mockGitHubAPI.canWriteRepository.mockResolvedValue(true)
 
     // Reset mutex mock
     mockGitMutex.acquireLock.mockResolvedValue(true)
     mockGitMutex.releaseLock.mockResolvedValue()
+    mockGitMutex.getToken.mockReturnValue('mutex-token-value')
+    MockGitMutex.fromToken.mockReturnValue(mockGitMutex)
+    MockGitMutex.describeHolder.mockReturnValue('test-holder')
   })
 
   afterEach(() => {
     jest.clearAllMocks()
     delete process.env.GITHUB_REPOSITORY_OWNER
     delete process.env.GITHUB_REPOSITORY
+    delete process.env.GITHUB_API_URL
+    delete process.env.RUNNER_TEMP
   })
 
   it('Selects self-hosted runners when available', async () => {
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(true)
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
 
     await run()
 
@@ -94,6 +142,7 @@ describe('main.js', () => {
       '["linux","self-hosted"]'
     )
     expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+    expect(core.setOutput).toHaveBeenCalledWith('pool', 'self-hosted')
     expect(core.setOutput).toHaveBeenCalledWith(
       'reason',
       'Self-hosted runners are available'
@@ -101,9 +150,6 @@ describe('main.js', () => {
   })
 
   it('Selects GitHub-hosted runners when self-hosted busy but sufficient minutes', async () => {
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(false)
-    mockGitHubAPI.hasSufficientGitHubHostedMinutes.mockReturnValue(true)
-
     await run()
 
     expect(core.setOutput).toHaveBeenCalledWith(
@@ -118,8 +164,7 @@ describe('main.js', () => {
   })
 
   it('Falls back to self-hosted runners when GitHub-hosted minutes insufficient', async () => {
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(false)
-    mockGitHubAPI.hasSufficientGitHubHostedMinutes.mockReturnValue(false)
+    mockGitHubAPI.getBillingInfo.mockResolvedValue(exhaustedBilling)
 
     await run()
 
@@ -130,7 +175,7 @@ describe('main.js', () => {
     expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
     expect(core.setOutput).toHaveBeenCalledWith(
       'reason',
-      'GitHub-hosted runners insufficient (2000 < 1000), using self-hosted as fallback'
+      'GitHub-hosted runners insufficient (500 < 1000), using self-hosted as fallback'
     )
   })
 
@@ -146,11 +191,11 @@ describe('main.js', () => {
         case 'github-token':
           return 'fake-token'
         default:
-          return ''
+          return tagInputs[input] ?? ''
       }
     })
 
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(true)
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
 
     await run()
 
@@ -166,12 +211,150 @@ describe('main.js', () => {
     expect(core.setFailed).toHaveBeenCalledWith('Action failed: API Error')
   })
 
+  describe('runner listing errors', () => {
+    const listingError = () =>
+      new RunnerApiError(
+        [
+          {
+            level: 'org',
+            status: 403,
+            kind: 'auth',
+            message: 'Resource not accessible by personal access token'
+          }
+        ],
+        idleRunners
+      )
+
+    const withPolicy = (policy, inputs = {}) =>
+      core.getInput.mockImplementation((input) => {
+        switch (input) {
+          case 'self-hosted-tags':
+            return 'linux,self-hosted'
+          case 'github-hosted-tags':
+            return 'ubuntu-latest'
+          case 'github-hosted-limit':
+            return '1000'
+          case 'on-api-error':
+            return policy
+          default:
+            return inputs[input] ?? ''
+        }
+      })
+
+    beforeEach(() => {
+      mockGitHubAPI.getSelfHostedRunners.mockRejectedValue(listingError())
+    })
+
+    it('Fails and releases the lock when the re-check listing fails', async () => {
+      withPolicy('', { 'mutex-key': 'test-mutex' })
+      mockGitHubAPI.getSelfHostedRunners
+        .mockResolvedValueOnce(idleRunners)
+        .mockRejectedValueOnce(listingError())
+
+      await run()
+
+      expect(mockGitMutex.releaseLock).toHaveBeenCalled()
+      expect(core.warning).not.toHaveBeenCalledWith(
+        expect.stringContaining('Mutex error')
+      )
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Action failed: Failed to list self-hosted runners: org level (403'
+        )
+      )
+      expect(core.setOutput).not.toHaveBeenCalledWith(
+        'selected-runner',
+        expect.anything()
+      )
+    })
+
+    it('Reports levels that failed in the re-check listing', async () => {
+      withPolicy('warn', { 'mutex-key': 'test-mutex' })
+      mockGitHubAPI.getSelfHostedRunners
+        .mockResolvedValueOnce(idleRunners)
+        .mockRejectedValueOnce(listingError())
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'Self-hosted runners available with mutex protection (test-mutex) (runner listing failed: org level (403), on-api-error: warn)'
+      )
+    })
+
+    it('Fails by default', async () => {
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Action failed: Failed to list self-hosted runners: org level (403: Resource not accessible by personal access token)'
+        )
+      )
+      expect(core.setOutput).not.toHaveBeenCalledWith(
+        'selected-runner',
+        expect.anything()
+      )
+    })
+
+    it('Continues with the listed levels on warn', async () => {
+      withPolicy('warn')
+
+      await run()
+
+      expect(core.warning).toHaveBeenCalledWith(listingError().message)
+      expect(core.setOutput).toHaveBeenCalledWith('runners-scanned', '1')
+      expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'Self-hosted runners are available (runner listing failed: org level (403), on-api-error: warn)'
+      )
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+
+    it('Treats self-hosted runners as busy on assume-busy', async () => {
+      withPolicy('assume-busy')
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'runner-type',
+        'github-hosted'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'GitHub-hosted runners have sufficient remaining minutes (2000 >= 1000) (runner listing failed: org level (403), on-api-error: assume-busy)'
+      )
+    })
+
+    it('Treats self-hosted runners as available on assume-available', async () => {
+      withPolicy('assume-available')
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'Self-hosted runners are available (runner listing failed: org level (403), on-api-error: assume-available)'
+      )
+    })
+
+    it('Fails on an unknown policy', async () => {
+      withPolicy('ignore')
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid on-api-error: ignore. Expected "fail", "warn", "assume-busy" or "assume-available"'
+      )
+    })
+  })
+
   it('Works with user repositories', async () => {
     // Mock user repository
     process.env.GITHUB_REPOSITORY_OWNER = 'test-user'
     process.env.GITHUB_REPOSITORY = 'test-user/test-repo'
     mockGitHubAPI.isOrganization.mockResolvedValue(false)
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(true)
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
 
     await run()
 
@@ -183,7 +366,8 @@ describe('main.js', () => {
     )
     expect(mockGitHubAPI.getBillingInfo).toHaveBeenCalledWith(
       'test-user',
-      false
+      false,
+      { spend: false }
     )
     expect(core.setOutput).toHaveBeenCalledWith(
       'selected-runner',
@@ -194,8 +378,6 @@ describe('main.js', () => {
   it('Works when no self-hosted runners are configured', async () => {
     // Mock no self-hosted runners available
     mockGitHubAPI.getSelfHostedRunners.mockResolvedValue([])
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(false)
-    mockGitHubAPI.hasSufficientGitHubHostedMinutes.mockReturnValue(true)
 
     await run()
 
@@ -225,12 +407,12 @@ describe('main.js', () => {
         case 'mutex-key':
           return 'test-mutex'
         default:
-          return ''
+          return tagInputs[input] ?? ''
       }
     })
 
     // Mock self-hosted runners available
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(true)
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
     mockGitMutex.acquireLock.mockResolvedValue(true)
 
     await run()
@@ -245,6 +427,42 @@ describe('main.js', () => {
       'reason',
       'Self-hosted runners available with mutex protection (test-mutex)'
     )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'mutex-token',
+      'mutex-token-value'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('mutex-holder', 'test-holder')
+    expect(mockGitMutex.releaseLock).not.toHaveBeenCalled()
+  })
+
+  it('Releases the mutex lock when the runners became busy meanwhile', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'github-hosted-tags':
+          return 'ubuntu-latest'
+        case 'github-hosted-limit':
+          return '1000'
+        case 'mutex-key':
+          return 'test-mutex'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getSelfHostedRunners
+      .mockResolvedValueOnce(idleRunners)
+      .mockResolvedValueOnce([runner(true, 'linux', 'self-hosted')])
+
+    await run()
+
+    expect(mockGitHubAPI.getSelfHostedRunners).toHaveBeenCalledTimes(2)
+    expect(mockGitMutex.releaseLock).toHaveBeenCalled()
+    expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'github-hosted')
+    expect(core.setOutput).not.toHaveBeenCalledWith(
+      'mutex-token',
+      expect.anything()
+    )
   })
 
   it('Falls back to GitHub-hosted when mutex lock fails', async () => {
@@ -262,14 +480,13 @@ describe('main.js', () => {
         case 'mutex-key':
           return 'test-mutex'
         default:
-          return ''
+          return tagInputs[input] ?? ''
       }
     })
 
     // Mock self-hosted runners available but mutex lock fails
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(true)
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
     mockGitMutex.acquireLock.mockResolvedValue(false) // Lock timeout
-    mockGitHubAPI.hasSufficientGitHubHostedMinutes.mockReturnValue(true)
 
     await run()
 
@@ -283,7 +500,7 @@ describe('main.js', () => {
 
   it('Works without mutex when mutex-key is not provided', async () => {
     // Mock no mutex key (default behavior)
-    mockGitHubAPI.hasAvailableSelfHostedRunners.mockReturnValue(true)
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
 
     await run()
 
@@ -298,4 +515,1365 @@ describe('main.js', () => {
       'Self-hosted runners are available'
     )
   })
+
+  it('Releases the mutex lock when acquiring it throws', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'github-hosted-tags':
+          return 'ubuntu-latest'
+        case 'github-hosted-limit':
+          return '1000'
+        case 'github-token':
+          return 'fake-token'
+        case 'mutex-key':
+          return 'test-mutex'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+    mockGitMutex.acquireLock.mockRejectedValue(new Error('Mutex API Error'))
+
+    await run()
+
+    expect(core.warning).toHaveBeenCalledWith('Mutex error: Mutex API Error')
+    expect(mockGitMutex.releaseLock).toHaveBeenCalled()
+    expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'github-hosted')
+    expect(core.setOutput).not.toHaveBeenCalledWith(
+      'mutex-token',
+      expect.anything()
+    )
+  })
+
+  it('Passes mutex timing inputs to the mutex', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'github-hosted-tags':
+          return 'ubuntu-latest'
+        case 'github-hosted-limit':
+          return '1000'
+        case 'github-token':
+          return 'fake-token'
+        case 'mutex-key':
+          return 'test-mutex'
+        case 'mutex-timeout':
+          return '30m'
+        case 'mutex-retry-interval':
+          return '10s'
+        case 'mutex-ttl':
+          return '1h'
+        case 'mutex-backoff':
+          return 'exponential'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+
+    await run()
+
+    expect(MockGitMutex).toHaveBeenCalledWith(
+      mockGitHubAPI.octokit,
+      'test-org',
+      'test-repo',
+      'test-mutex',
+      {
+        timeoutMs: 1800000,
+        retryIntervalMs: 10000,
+        ttlMs: 3600000,
+        backoff: 'exponential',
+        slots: 1,
+        queue: false,
+        backend: 'git-ref'
+      }
+    )
+    expect(mockGitMutex.acquireLock).toHaveBeenCalledWith(1800000, 10000)
+  })
+
+  it('Uses default mutex timings', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-key' ? 'test-mutex' : (tagInputs[input] ?? '')
+    )
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+
+    await run()
+
+    expect(mockGitMutex.acquireLock).toHaveBeenCalledWith(300000, 3000)
+    expect(MockGitMutex.mock.calls[0][4]).toEqual(
+      expect.objectContaining({ ttlMs: 600000, backoff: 'fixed' })
+    )
+  })
+
+  it('Fails on invalid mutex timing inputs', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-ttl' ? 'forever' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      expect.stringContaining('Invalid duration for mutex-ttl: "forever"')
+    )
+    expect(mockGitHubAPI.getSelfHostedRunners).not.toHaveBeenCalled()
+  })
+
+  it('Fails on a zero mutex timeout', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-timeout' ? '0s' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid mutex-timeout: must be greater than zero'
+    )
+  })
+
+  it('Reports the semaphore slot that was obtained', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'mutex-key':
+          return 'build-pool'
+        case 'mutex-slots':
+          return '4'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+    mockGitMutex.slots = 4
+    mockGitMutex.slot = 2
+
+    await run()
+
+    delete mockGitMutex.slots
+    delete mockGitMutex.slot
+    expect(MockGitMutex.mock.calls[0][4]).toEqual(
+      expect.objectContaining({ slots: 4 })
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('mutex-slot', '2')
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'reason',
+      'Self-hosted runners available with mutex protection (build-pool, slot 3/4)'
+    )
+  })
+
+  it('Reports the mutex queue position', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'mutex-key':
+          return 'test-mutex'
+        case 'mutex-queue':
+          return 'true'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+    mockGitMutex.queuePosition = 3
+
+    await run()
+
+    mockGitMutex.queuePosition = null
+    expect(MockGitMutex.mock.calls[0][4]).toEqual(
+      expect.objectContaining({ queue: true })
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('mutex-queue-position', '3')
+  })
+
+  it('Fails on an invalid mutex slot count', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-slots' ? '0' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid mutex-slots: 0. Expected a positive integer'
+    )
+  })
+
+  it('Fails on an unknown mutex backoff', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-backoff' ? 'random' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid mutex-backoff: random. Expected "fixed" or "exponential"'
+    )
+  })
+
+  it('Passes the mutex backend to the mutex', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'mutex-key':
+          return 'test-mutex'
+        case 'mutex-backend':
+          return 'issue'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+
+    await run()
+
+    expect(MockGitMutex.mock.calls[0][4]).toEqual(
+      expect.objectContaining({ backend: 'issue' })
+    )
+  })
+
+  it('Takes mutex locks in the mutex repository', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'self-hosted-tags':
+          return 'linux,self-hosted'
+        case 'mutex-key':
+          return 'test-mutex'
+        case 'mutex-repository':
+          return 'test-org/runner-locks'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+
+    await run()
+
+    expect(mockGitHubAPI.canWriteRepository).toHaveBeenCalledWith(
+      'test-org',
+      'runner-locks'
+    )
+    expect(MockGitMutex).toHaveBeenCalledWith(
+      mockGitHubAPI.octokit,
+      'test-org',
+      'runner-locks',
+      'test-mutex',
+      expect.any(Object)
+    )
+  })
+
+  it('Fails when the mutex repository is not writable', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'mutex-key':
+          return 'test-mutex'
+        case 'mutex-repository':
+          return 'test-org/runner-locks'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.canWriteRepository.mockResolvedValue(false)
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Cannot take mutex locks in test-org/runner-locks: the repository does not exist or the token has no write access to it'
+    )
+    expect(mockGitHubAPI.getSelfHostedRunners).not.toHaveBeenCalled()
+  })
+
+  it('Fails on an invalid mutex repository', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-repository' ? 'runner-locks' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid mutex-repository: runner-locks. Expected "owner/repo"'
+    )
+  })
+
+  it('Reports the number of runners scanned', async () => {
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue([
+      { id: 1, status: 'online', busy: true, labels: [] },
+      { id: 2, status: 'offline', busy: false, labels: [] }
+    ])
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith('runners-scanned', '2')
+  })
+
+  it('Passes the enterprise and page limit to the API client', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'enterprise':
+          return 'test-ent'
+        case 'runner-page-limit':
+          return '20'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledWith('', {
+      retries: 3,
+      retryDelayMs: 1000,
+      runnerPageLimit: 20,
+      enterprise: 'test-ent',
+      includedMinutes: null,
+      cache: null
+    })
+  })
+
+  it('Passes the API retry settings to the API client', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'api-retries':
+          return '0'
+        case 'api-retry-delay':
+          return '250ms'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getRateLimitSummary.mockReturnValue(
+      'GitHub API rate limit: 4990/5000 requests remaining'
+    )
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledWith(
+      '',
+      expect.objectContaining({ retries: 0, retryDelayMs: 250 })
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      'GitHub API rate limit: 4990/5000 requests remaining'
+    )
+  })
+
+  it('Uses the API URL of the GitHub instance running the workflow', async () => {
+    process.env.GITHUB_API_URL = 'https://ghes.example.com/api/v3'
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledWith(
+      'fake-token',
+      expect.objectContaining({ apiUrl: 'https://ghes.example.com/api/v3' })
+    )
+  })
+
+  it('Prefers the api-url input over GITHUB_API_URL', async () => {
+    process.env.GITHUB_API_URL = 'https://api.github.com'
+    core.getInput.mockImplementation((input) =>
+      input === 'api-url'
+        ? 'https://ghes.example.com/api/v3'
+        : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledWith(
+      '',
+      expect.objectContaining({ apiUrl: 'https://ghes.example.com/api/v3' })
+    )
+  })
+
+  it('Reports unlimited GitHub-hosted capacity', async () => {
+    mockGitHubAPI.getBillingInfo.mockResolvedValue({
+      total_minutes_used: 0,
+      included_minutes: Infinity,
+      minutes_used_breakdown: { total: 0 },
+      included_minutes_source: 'unlimited',
+      estimated: false
+    })
+
+    await run()
+
+    expect(core.info).toHaveBeenCalledWith(
+      'GitHub Actions billing - Used: 0/unlimited minutes (included minutes: unlimited)'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'reason',
+      'GitHub-hosted runners have sufficient remaining minutes (unlimited >= 1000)'
+    )
+  })
+
+  it('Authenticates as a GitHub App installation', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'app-id':
+          return '12345'
+        case 'app-private-key':
+          return 'private-key'
+        case 'app-installation-id':
+          return '7'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    getAppInstallationToken.mockResolvedValue({
+      token: 'ghs_installation',
+      installation: { id: 7 }
+    })
+
+    await run()
+
+    expect(getAppInstallationToken).toHaveBeenCalledWith({
+      appId: '12345',
+      privateKey: 'private-key',
+      installationId: '7',
+      owner: 'test-org',
+      apiUrl: undefined
+    })
+    expect(core.setSecret).toHaveBeenCalledWith('ghs_installation')
+    expect(GitHubAPI).toHaveBeenCalledWith(
+      'ghs_installation',
+      expect.any(Object)
+    )
+  })
+
+  it('Requires the private key of the GitHub App', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'app-id' ? '12345' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: app-private-key is required when app-id is set'
+    )
+    expect(getAppInstallationToken).not.toHaveBeenCalled()
+  })
+
+  it('Uses a dedicated token for each kind of request', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'github-token':
+          return 'admin-pat'
+        case 'runners-token':
+          return 'runners-pat'
+        case 'mutex-github-token':
+          return 'workflow-token'
+        case 'mutex-key':
+          return 'test-mutex'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    const clients = {}
+    GitHubAPI.mockImplementation((token) => {
+      clients[token] = { ...mockGitHubAPI, octokit: { token } }
+      return clients[token]
+    })
+    mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+
+    await run()
+
+    expect(Object.keys(clients).sort()).toEqual([
+      'admin-pat',
+      'runners-pat',
+      'workflow-token'
+    ])
+    expect(MockGitMutex).toHaveBeenCalledWith(
+      { token: 'workflow-token' },
+      'test-org',
+      'test-repo',
+      'test-mutex',
+      expect.any(Object)
+    )
+  })
+
+  it('Shares one client between requests without a dedicated token', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'runners-token' ? 'runners-pat' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledTimes(2)
+    expect(GitHubAPI).toHaveBeenCalledWith('runners-pat', expect.any(Object))
+    expect(GitHubAPI).toHaveBeenCalledWith('', expect.any(Object))
+  })
+
+  it('Passes the included-minutes override to the API client', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'included-minutes' ? '50000' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledWith(
+      '',
+      expect.objectContaining({ includedMinutes: 50000 })
+    )
+  })
+
+  it('Fails on an invalid included-minutes override', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'included-minutes' ? 'lots' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid included-minutes: lots. Expected a non-negative integer'
+    )
+  })
+
+  it('Marks selections based on an estimated quota', async () => {
+    mockGitHubAPI.getBillingInfo.mockResolvedValue({
+      total_minutes_used: 1000,
+      included_minutes: 3000,
+      included_minutes_source: 'default',
+      estimated: true
+    })
+
+    await run()
+
+    expect(core.info).toHaveBeenCalledWith(
+      'GitHub Actions billing - Used: 1000/3000 minutes (included minutes: default, estimated)'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'reason',
+      'GitHub-hosted runners have sufficient remaining minutes (2000 >= 1000, estimated)'
+    )
+  })
+
+  it('Applies the minute multiplier of the GitHub-hosted labels', async () => {
+    core.getInput.mockImplementation((input) => {
+      switch (input) {
+        case 'github-hosted-tags':
+          return 'macos-latest'
+        case 'github-hosted-limit':
+          return '100'
+        case 'minute-multipliers':
+          return 'macos=12'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    })
+    mockGitHubAPI.getBillingInfo.mockResolvedValue({
+      included_minutes: 3000,
+      total_minutes_used: 600,
+      minutes_used_breakdown: { UBUNTU: 600 }
+    })
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'reason',
+      'GitHub-hosted runners have sufficient remaining minutes (200 >= 100, 12x minute multiplier)'
+    )
+  })
+
+  describe('runner-pools', () => {
+    const setPools = (pools, inputs = {}) => {
+      core.getInput.mockImplementation((input) => {
+        switch (input) {
+          case 'runner-pools':
+            return pools
+          case 'github-hosted-limit':
+            return '1000'
+          default:
+            return inputs[input] ?? ''
+        }
+      })
+    }
+
+    it('Selects the first self-hosted pool with enough idle runners', async () => {
+      setPools(`
+        - name: gpu
+          type: self-hosted
+          labels: [self-hosted, gpu]
+          min-idle: 2
+        - name: cpu
+          type: self-hosted
+          labels: self-hosted, linux
+        - name: hosted
+          type: github-hosted
+          labels: ubuntu-latest
+      `)
+      mockGitHubAPI.getSelfHostedRunners.mockResolvedValue([
+        runner(false, 'self-hosted', 'gpu'),
+        runner(true, 'self-hosted', 'gpu'),
+        runner(false, 'self-hosted', 'linux')
+      ])
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'selected-runner',
+        '["self-hosted","linux"]'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+      expect(core.setOutput).toHaveBeenCalledWith('pool', 'cpu')
+    })
+
+    it('Checks each GitHub-hosted pool against its own minimum', async () => {
+      setPools(`
+        - name: hosted-large
+          type: github-hosted
+          labels: ubuntu-latest-16-cores
+          min-minutes: 5000
+        - name: hosted
+          type: github-hosted
+          labels: ubuntu-latest
+      `)
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'selected-runner',
+        '"ubuntu-latest"'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('pool', 'hosted')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'GitHub-hosted runners have sufficient remaining minutes (2000 >= 1000)'
+      )
+    })
+
+    it('Selects a pool marked always without checking it', async () => {
+      setPools(`
+        - name: hosted
+          type: github-hosted
+          labels: ubuntu-latest
+        - name: overflow
+          type: github-hosted
+          labels: ubuntu-latest
+          always: true
+      `)
+      mockGitHubAPI.getBillingInfo.mockResolvedValue(exhaustedBilling)
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith('pool', 'overflow')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'Runner pool overflow is always eligible'
+      )
+    })
+
+    it('Falls back to the first self-hosted pool', async () => {
+      setPools(`
+        - name: gpu
+          type: self-hosted
+          labels: [self-hosted, gpu]
+        - name: hosted
+          type: github-hosted
+          labels: ubuntu-latest
+      `)
+      mockGitHubAPI.getBillingInfo.mockResolvedValue(exhaustedBilling)
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith('pool', 'gpu')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'GitHub-hosted runners insufficient (500 < 1000), using self-hosted as fallback'
+      )
+    })
+
+    it('Skips the remaining self-hosted pools when the mutex is not taken', async () => {
+      setPools(
+        `
+        - name: gpu
+          type: self-hosted
+          labels: [self-hosted, gpu]
+        - name: cpu
+          type: self-hosted
+          labels: [self-hosted, linux]
+        - name: hosted
+          type: github-hosted
+          labels: ubuntu-latest
+      `,
+        { 'mutex-key': 'test-mutex' }
+      )
+      mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+      mockGitMutex.acquireLock.mockResolvedValue(false)
+
+      await run()
+
+      expect(MockGitMutex).toHaveBeenCalledTimes(1)
+      expect(core.setOutput).toHaveBeenCalledWith('pool', 'hosted')
+    })
+
+    it('Requests the Actions spend when a pool has a budget', async () => {
+      setPools(
+        '[{"name": "hosted", "type": "github-hosted", "labels": ["ubuntu-latest"], "budget": 20}]'
+      )
+
+      await run()
+
+      expect(mockGitHubAPI.getBillingInfo).toHaveBeenCalledWith(
+        'test-org',
+        true,
+        { spend: true }
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('pool', 'hosted')
+    })
+
+    it('Fails on invalid pools', async () => {
+      setPools('- name: gpu\n  type: cloud\n  labels: gpu')
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid runner-pools: runner-pools[0].type must be "self-hosted" or "github-hosted"'
+      )
+    })
+  })
+
+  describe('github-hosted-budget', () => {
+    beforeEach(() => {
+      core.getInput.mockImplementation((input) => {
+        switch (input) {
+          case 'self-hosted-tags':
+            return 'linux'
+          case 'github-hosted-tags':
+            return 'ubuntu-latest'
+          case 'github-hosted-limit':
+            return '1000'
+          case 'github-hosted-budget':
+            return '50'
+          default:
+            return tagInputs[input] ?? ''
+        }
+      })
+      mockGitHubAPI.getBillingInfo.mockResolvedValue(exhaustedBilling)
+    })
+
+    it('Reads the Actions spend with the billing information', async () => {
+      await run()
+
+      expect(mockGitHubAPI.getBillingInfo).toHaveBeenCalledWith(
+        'test-org',
+        true,
+        { spend: true }
+      )
+    })
+
+    it('Uses GitHub-hosted runners past the included minutes while under budget', async () => {
+      mockGitHubAPI.getBillingInfo.mockResolvedValue({
+        included_minutes: 3000,
+        total_minutes_used: 4000,
+        net_amount: 12.5,
+        gross_amount: 32.5
+      })
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'runner-type',
+        'github-hosted'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'GitHub-hosted runners within budget ($12.50 of $50.00 spent this month)'
+      )
+    })
+
+    it('Falls back to self-hosted runners once the budget is spent', async () => {
+      mockGitHubAPI.getBillingInfo.mockResolvedValue({
+        included_minutes: 3000,
+        total_minutes_used: 9000,
+        net_amount: 50
+      })
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'GitHub-hosted runners insufficient (-6000 < 1000, $50.00 of $50.00 budget spent), using self-hosted as fallback'
+      )
+    })
+
+    it('Ignores the budget when the spend is unknown', async () => {
+      mockGitHubAPI.getBillingInfo.mockResolvedValue({
+        included_minutes: 3000,
+        total_minutes_used: 4000
+      })
+
+      await run()
+
+      expect(core.info).toHaveBeenCalledWith(
+        'Actions spend unknown, github-hosted-budget not applied'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+    })
+
+    it('Fails on an invalid budget', async () => {
+      core.getInput.mockImplementation((input) =>
+        input === 'github-hosted-budget' ? 'plenty' : (tagInputs[input] ?? '')
+      )
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid github-hosted-budget: plenty. Expected an amount in USD, e.g. "50"'
+      )
+    })
+  })
+
+  describe('max-queue-depth', () => {
+    beforeEach(() => {
+      core.getInput.mockImplementation((input) => {
+        switch (input) {
+          case 'self-hosted-tags':
+            return 'linux,self-hosted'
+          case 'github-hosted-tags':
+            return 'ubuntu-latest'
+          case 'github-hosted-limit':
+            return '1000'
+          case 'max-queue-depth':
+            return '0'
+          default:
+            return tagInputs[input] ?? ''
+        }
+      })
+      mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+    })
+
+    it('Leaves idle runners to queued jobs', async () => {
+      mockGitHubAPI.getQueuedJobs.mockResolvedValue([
+        { id: 1, run_id: 1, labels: ['self-hosted', 'linux'] }
+      ])
+
+      await run()
+
+      expect(mockGitHubAPI.getQueuedJobs).toHaveBeenCalledWith(
+        'test-org',
+        'test-repo'
+      )
+      expect(core.info).toHaveBeenCalledWith('Found 1 queued jobs')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'runner-type',
+        'github-hosted'
+      )
+    })
+
+    it('Reports the load when self-hosted runners are selected', async () => {
+      mockGitHubAPI.getQueuedJobs.mockResolvedValue([])
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'reason',
+        'Self-hosted runners are available (1 idle, 0 queued)'
+      )
+    })
+
+    it('Ignores the queue when jobs cannot be listed', async () => {
+      mockGitHubAPI.getQueuedJobs.mockRejectedValue(
+        new Error('Resource not accessible by integration')
+      )
+
+      await run()
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Queued jobs could not be listed, max-queue-depth not applied: Resource not accessible by integration'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('runner-type', 'self-hosted')
+    })
+
+    it('Does not list queued jobs by default', async () => {
+      core.getInput.mockImplementation((input) =>
+        input === 'self-hosted-tags' ? 'linux' : (tagInputs[input] ?? '')
+      )
+
+      await run()
+
+      expect(mockGitHubAPI.getQueuedJobs).not.toHaveBeenCalled()
+    })
+
+    it('Fails on an invalid queue depth', async () => {
+      core.getInput.mockImplementation((input) =>
+        input === 'max-queue-depth' ? '-1' : (tagInputs[input] ?? '')
+      )
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid max-queue-depth: -1. Expected a non-negative integer'
+      )
+    })
+  })
+
+  describe('policy file', () => {
+    let workspace
+
+    beforeEach(async () => {
+      workspace = await mkdtemp(join(tmpdir(), 'workspace-'))
+      await mkdir(join(workspace, '.github'))
+      await writeFile(
+        join(workspace, '.github', 'pick-runner.yml'),
+        [
+          'defaults:',
+          '  self-hosted-tags: linux',
+          '  github-hosted-tags: ubuntu-latest',
+          '  github-hosted-limit: 2500',
+          'profiles:',
+          '  deploy:',
+          '    self-hosted-tags: [linux, self-hosted]',
+          '    github-hosted-tags: ubuntu-latest',
+          '    mutex-key: deploy'
+        ].join('\n')
+      )
+      process.env.GITHUB_WORKSPACE = workspace
+    })
+
+    afterEach(async () => {
+      delete process.env.GITHUB_WORKSPACE
+      await rm(workspace, { recursive: true, force: true })
+    })
+
+    const withInputs = (inputs) =>
+      core.getInput.mockImplementation((input) => inputs[input] ?? '')
+
+    it('Applies the inputs of the selected profile', async () => {
+      withInputs({ profile: 'deploy' })
+      mockGitHubAPI.getSelfHostedRunners.mockResolvedValue(idleRunners)
+
+      await run()
+
+      expect(core.info).toHaveBeenCalledWith(
+        'Policy file: .github/pick-runner.yml (profile deploy)'
+      )
+      expect(MockGitMutex).toHaveBeenCalledWith(
+        mockGitHubAPI.octokit,
+        'test-org',
+        'test-repo',
+        'deploy',
+        expect.any(Object)
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'selected-runner',
+        '["linux","self-hosted"]'
+      )
+    })
+
+    it('Prefers inputs set in the workflow', async () => {
+      withInputs({ profile: 'deploy', 'github-hosted-limit': '1000' })
+
+      await run()
+
+      expect(core.info).toHaveBeenCalledWith(
+        'GitHub-hosted limit: 1000 minutes'
+      )
+    })
+
+    it('Applies the defaults without a profile', async () => {
+      withInputs({})
+
+      await run()
+
+      expect(core.info).toHaveBeenCalledWith(
+        'GitHub-hosted limit: 2500 minutes'
+      )
+    })
+
+    it('Reads the file named by config-file', async () => {
+      await mkdir(join(workspace, 'ci'))
+      await writeFile(
+        join(workspace, 'ci', 'runners.yml'),
+        'defaults: {github-hosted-limit: 300}'
+      )
+      withInputs({ ...tagInputs, 'config-file': 'ci/runners.yml' })
+
+      await run()
+
+      expect(core.info).toHaveBeenCalledWith('GitHub-hosted limit: 300 minutes')
+    })
+
+    it('Fails when the file of a profile does not exist', async () => {
+      withInputs({ 'config-file': 'ci/missing.yml', profile: 'deploy' })
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Policy file ci/missing.yml not found, it is needed for profile "deploy"'
+      )
+    })
+
+    it('Fails on an invalid policy file', async () => {
+      await writeFile(
+        join(workspace, '.github', 'pick-runner.yml'),
+        'profiles: {deploy: {mutex-slots: many}}'
+      )
+      withInputs({ profile: 'deploy' })
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid policy file .github/pick-runner.yml: profiles.deploy.mutex-slots must be an integer of at least 1'
+      )
+    })
+
+    it('Fails on an unknown profile', async () => {
+      withInputs({ profile: 'gpu' })
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Unknown profile "gpu" in .github/pick-runner.yml. Available profiles: deploy'
+      )
+    })
+  })
+
+  it('Caches billing lookups under RUNNER_TEMP', async () => {
+    process.env.RUNNER_TEMP = '/runner/temp'
+    core.getInput.mockImplementation((input) =>
+      input === 'billing-cache-ttl' ? '1h' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    const { cache } = GitHubAPI.mock.calls[0][1]
+    expect(cache).toBeInstanceOf(BillingCache)
+    expect(cache.filePath).toBe('/runner/temp/pick-runner/billing-cache.json')
+    expect(cache.ttlMs).toBe(3600000)
+  })
+
+  it('Does not cache billing lookups by default', async () => {
+    process.env.RUNNER_TEMP = '/runner/temp'
+
+    await run()
+
+    expect(GitHubAPI).toHaveBeenCalledWith(
+      'fake-token',
+      expect.objectContaining({ cache: null })
+    )
+  })
+
+  it('Fails when the runner labels are missing', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'github-hosted-tags' ? 'ubuntu-latest' : ''
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: self-hosted-tags is required when runner-pools is not set'
+    )
+    expect(mockGitHubAPI.getSelfHostedRunners).not.toHaveBeenCalled()
+  })
+
+  it('Names every missing runner label input', async () => {
+    core.getInput.mockImplementation(() => '')
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: self-hosted-tags and github-hosted-tags are required when runner-pools is not set'
+    )
+  })
+
+  it('Fails on invalid minute multipliers', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'minute-multipliers' ? 'macos' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid minute-multipliers: macos. Expected "key=multiplier" pairs, e.g. "windows=2,macos=10"'
+    )
+  })
+
+  it('Fails on an invalid API retry count', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'api-retries' ? '-1' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid api-retries: -1. Expected a non-negative integer'
+    )
+  })
+
+  it('Fails on an invalid runner page limit', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'runner-page-limit' ? '0' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid runner-page-limit: 0. Expected a positive integer'
+    )
+  })
+
+  it('Fails on an unknown mutex backend', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'mutex-backend' ? 'redis' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid mutex-backend: redis. Expected "git-ref", "variable" or "issue"'
+    )
+  })
+
+  it('Fails on an unknown action', async () => {
+    core.getInput.mockImplementation((input) =>
+      input === 'action' ? 'bogus' : (tagInputs[input] ?? '')
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Action failed: Invalid action: bogus. Expected "acquire", "release", "heartbeat", "mutex-status" or "force-unlock"'
+    )
+  })
+
+  describe('mutex maintenance actions', () => {
+    const staleLock = {
+      name: 'mutex/deploy',
+      version: 'lock-sha',
+      data: { id: 'lock-id', workflow: '42' },
+      age: 90000,
+      run: { status: 'completed', conclusion: 'cancelled' }
+    }
+
+    const inputs = (action) => (input) => {
+      switch (input) {
+        case 'action':
+          return action
+        case 'github-token':
+          return 'fake-token'
+        case 'mutex-key':
+          return 'deploy'
+        case 'mutex-repository':
+          return 'test-org/runner-locks'
+        default:
+          return tagInputs[input] ?? ''
+      }
+    }
+
+    it('Reports the held mutex locks', async () => {
+      core.getInput.mockImplementation(inputs('mutex-status'))
+      mockMutexStatus.listMutexLocks.mockResolvedValue([
+        staleLock,
+        { ...staleLock, name: 'mutex/build', run: null }
+      ])
+
+      await run()
+
+      expect(mockMutexStatus.listMutexLocks).toHaveBeenCalledWith(
+        mockGitHubAPI.octokit,
+        'test-org',
+        'runner-locks',
+        { backend: 'git-ref', key: 'deploy' }
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        'mutex/deploy: held by test-holder for 90s (run cancelled)'
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        'mutex/build: held by test-holder for 90s (run status unknown)'
+      )
+      const locks = JSON.parse(
+        core.setOutput.mock.calls.find(([name]) => name === 'mutex-locks')[1]
+      )
+      expect(locks[0]).toEqual({
+        name: 'mutex/deploy',
+        holder: staleLock.data,
+        age: 90,
+        runStatus: 'completed',
+        runConclusion: 'cancelled',
+        inProgress: false
+      })
+      expect(locks[1].inProgress).toBeNull()
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+
+    it('Removes locks of finished runs', async () => {
+      core.getInput.mockImplementation(inputs('force-unlock'))
+      mockMutexStatus.forceUnlockMutexes.mockResolvedValue([staleLock])
+
+      await run()
+
+      expect(mockMutexStatus.forceUnlockMutexes).toHaveBeenCalledWith(
+        mockGitHubAPI.octokit,
+        'test-org',
+        'runner-locks',
+        { backend: 'git-ref', key: 'deploy' }
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        'Removed 1 mutex locks from test-org/runner-locks'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'mutex-locks',
+        expect.stringContaining('"name":"mutex/deploy"')
+      )
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('release action', () => {
+    beforeEach(() => {
+      core.getInput.mockImplementation((input) => {
+        switch (input) {
+          case 'action':
+            return 'release'
+          case 'github-token':
+            return 'fake-token'
+          case 'mutex-token':
+            return 'mutex-token-value'
+          default:
+            return tagInputs[input] ?? ''
+        }
+      })
+    })
+
+    it('Schedules the lock for release in the post step', async () => {
+      await run()
+
+      expect(MockGitMutex.fromToken).toHaveBeenCalledWith(
+        null,
+        'mutex-token-value'
+      )
+      expect(core.saveState).toHaveBeenCalledWith(
+        'mutex-release-token',
+        'mutex-token-value'
+      )
+      expect(mockGitMutex.releaseLock).not.toHaveBeenCalled()
+      expect(mockGitHubAPI.getSelfHostedRunners).not.toHaveBeenCalled()
+    })
+
+    it('Does nothing without a mutex token', async () => {
+      core.getInput.mockImplementation((input) =>
+        input === 'action' ? 'release' : (tagInputs[input] ?? '')
+      )
+
+      await run()
+
+      expect(core.saveState).not.toHaveBeenCalled()
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+
+    it('Fails on an invalid mutex token', async () => {
+      MockGitMutex.fromToken.mockImplementation(() => {
+        throw new Error('Invalid mutex token')
+      })
+
+      await run()
+
+      expect(core.saveState).not.toHaveBeenCalled()
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Invalid mutex token'
+      )
+    })
+  })
+
+  describe('heartbeat action', () => {
+    beforeEach(() => {
+      core.getInput.mockImplementation((input) => {
+        switch (input) {
+          case 'action':
+            return 'heartbeat'
+          case 'github-token':
+            return 'fake-token'
+          case 'mutex-token':
+            return 'mutex-token-value'
+          default:
+            return tagInputs[input] ?? ''
+        }
+      })
+    })
+
+    it('Renews the lock lease', async () => {
+      mockGitMutex.renewLock.mockResolvedValue(true)
+
+      await run()
+
+      expect(MockGitMutex.fromToken).toHaveBeenCalledWith(
+        mockGitHubAPI.octokit,
+        'mutex-token-value'
+      )
+      expect(mockGitMutex.renewLock).toHaveBeenCalled()
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+
+    it('Fails when the lock is no longer held', async () => {
+      mockGitMutex.renewLock.mockResolvedValue(false)
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: Mutex lock test-mutex is no longer held by this workflow'
+      )
+    })
+
+    it('Does nothing without a mutex token', async () => {
+      core.getInput.mockImplementation((input) =>
+        input === 'action' ? 'heartbeat' : (tagInputs[input] ?? '')
+      )
+
+      await run()
+
+      expect(mockGitMutex.renewLock).not.toHaveBeenCalled()
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('post', () => {
+    it('Releases the lock registered by the release action', async () => {
+      core.getState.mockReturnValue('mutex-token-value')
+
+      await post()
+
+      expect(MockGitMutex.fromToken).toHaveBeenCalledWith(
+        mockGitHubAPI.octokit,
+        'mutex-token-value'
+      )
+      expect(mockGitMutex.releaseLock).toHaveBeenCalled()
+    })
+
+    it('Releases the lock with the mutex token', async () => {
+      core.getState.mockReturnValue('mutex-token-value')
+      core.getInput.mockImplementation((input) =>
+        input === 'mutex-github-token'
+          ? 'workflow-token'
+          : (tagInputs[input] ?? '')
+      )
+
+      await post()
+
+      expect(GitHubAPI).toHaveBeenCalledWith(
+        'workflow-token',
+        expect.any(Object)
+      )
+    })
+
+    it('Does nothing when no lock was registered', async () => {
+      core.getState.mockReturnValue('')
+
+      await post()
+
+      expect(MockGitMutex.fromToken).not.toHaveBeenCalled()
+      expect(mockGitMutex.releaseLock).not.toHaveBeenCalled()
+    })
+
+    it('Warns instead of failing when the release fails', async () => {
+      core.getState.mockReturnValue('mutex-token-value')
+      mockGitMutex.releaseLock.mockRejectedValue(new Error('Release Error'))
+
+      await post()
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to release mutex lock: Release Error'
+      )
+    })
+  })
 })
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for hosted minute accounting, src/minutes.js
+ */
+import {
+  DEFAULT_MINUTE_MULTIPLIERS,
+  getEffectiveRemainingMinutes,
+  getLabelMultiplier,
+  getWeightedMinutesUsed,
+  inferRunnerOs,
+  parseMinuteMultipliers
+} from '../src/minutes.js'
+
+describe('inferRunnerOs', () => {
+  it('recognizes hosted runner labels', () => {
+    expect(inferRunnerOs('ubuntu-latest')).toBe('linux')
+    expect(inferRunnerOs('windows-2022')).toBe('windows')
+    expect(inferRunnerOs('macos-14-xlarge')).toBe('macos')
+  })
+
+  it('recognizes billing breakdown keys and SKUs', () => {
+    expect(inferRunnerOs('UBUNTU')).toBe('linux')
+    expect(inferRunnerOs('WINDOWS')).toBe('windows')
+    expect(inferRunnerOs('MACOS')).toBe('macos')
+    expect(inferRunnerOs('Actions macOS 12-core')).toBe('macos')
+  })
+
+  it('treats unknown labels as Linux', () => {
+    expect(inferRunnerOs('gpu-large')).toBe('linux')
+  })
+})
+
+describe('parseMinuteMultipliers', () => {
+  it('returns the defaults without input', () => {
+    expect(parseMinuteMultipliers('')).toEqual(DEFAULT_MINUTE_MULTIPLIERS)
+  })
+
+  it('overrides OS and label multipliers', () => {
+    expect(
+      parseMinuteMultipliers('macos=12, Ubuntu-Latest-16-Cores=8')
+    ).toEqual({
+      linux: 1,
+      windows: 2,
+      macos: 12,
+      'ubuntu-latest-16-cores': 8
+    })
+  })
+
+  it('rejects malformed pairs', () => {
+    for (const value of ['macos', 'macos=0', 'macos=ten', '=2', 'a=1=2']) {
+      expect(() => parseMinuteMultipliers(value)).toThrow(
+        `Invalid minute-multipliers: ${value}`
+      )
+    }
+  })
+})
+
+describe('getLabelMultiplier', () => {
+  it('uses the multiplier of the label OS', () => {
+    expect(getLabelMultiplier(['macos-latest'])).toBe(10)
+    expect(getLabelMultiplier(['windows-latest'])).toBe(2)
+    expect(getLabelMultiplier(['ubuntu-latest'])).toBe(1)
+  })
+
+  it('prefers a multiplier configured for the label', () => {
+    const multipliers = parseMinuteMultipliers('ubuntu-latest-16-cores=8')
+
+    expect(getLabelMultiplier(['ubuntu-latest-16-cores'], multipliers)).toBe(8)
+  })
+
+  it('counts the most expensive label', () => {
+    expect(getLabelMultiplier(['ubuntu-latest', 'windows-latest'])).toBe(2)
+  })
+
+  it('defaults to Linux without labels', () => {
+    expect(getLabelMultiplier([])).toBe(1)
+  })
+})
+
+describe('getWeightedMinutesUsed', () => {
+  it('uses legacy billing minutes as reported', () => {
+    // The legacy API already includes the OS multipliers
+    expect(
+      getWeightedMinutesUsed({
+        total_minutes_used: 305,
+        minutes_used_breakdown: { UBUNTU: 205, MACOS: 10, WINDOWS: 90 }
+      })
+    ).toBe(305)
+  })
+
+  it('applies multipliers to the raw usage report breakdown', () => {
+    expect(
+      getWeightedMinutesUsed({
+        total_minutes_used: 305,
+        minutes_used_breakdown: { UBUNTU: 205, MACOS: 10, WINDOWS: 90 },
+        minutes_multiplied: false
+      })
+    ).toBe(205 + 100 + 180)
+  })
+
+  it('uses the total without a per-OS breakdown', () => {
+    expect(
+      getWeightedMinutesUsed({
+        total_minutes_used: 500,
+        minutes_used_breakdown: { total: 500 },
+        minutes_multiplied: false
+      })
+    ).toBe(500)
+  })
+})
+
+describe('getEffectiveRemainingMinutes', () => {
+  const billingInfo = {
+    included_minutes: 3000,
+    total_minutes_used: 1000,
+    minutes_used_breakdown: { UBUNTU: 900, MACOS: 100 },
+    minutes_multiplied: false
+  }
+
+  it('counts remaining minutes in job minutes of the labels', () => {
+    // 3000 - (900 + 100 * 10) = 1100 included minutes left
+    expect(getEffectiveRemainingMinutes(billingInfo, ['ubuntu-latest'])).toBe(
+      1100
+    )
+    expect(getEffectiveRemainingMinutes(billingInfo, ['macos-latest'])).toBe(
+      110
+    )
+  })
+
+  it('keeps unlimited capacity unlimited', () => {
+    expect(
+      getEffectiveRemainingMinutes(
+        { included_minutes: Infinity, total_minutes_used: 0 },
+        ['macos-latest']
+      )
+    ).toBe(Infinity)
+  })
+})
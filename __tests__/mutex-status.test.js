@@ -0,0 +1,197 @@
+/**
+ * Unit tests for mutex lock inspection and maintenance, src/mutex-status.js
+ */
+import { jest } from '@jest/globals'
+import {
+  forceUnlockMutexes,
+  getHolderRun,
+  listMutexLocks
+} from '../src/mutex-status.js'
+
+const lockData = (runId, overrides = {}) => ({
+  id: `lock-${runId}`,
+  repository: 'test-owner/test-repo',
+  workflow: String(runId),
+  attempt: '1',
+  job: 'build',
+  timestamp: Date.now() - 60000,
+  ...overrides
+})
+
+describe('mutex-status.js', () => {
+  let mockOctokit
+  let locks
+  let runs
+
+  beforeEach(() => {
+    locks = {}
+    runs = {}
+    mockOctokit = {
+      rest: {
+        git: {
+          listMatchingRefs: jest.fn(async ({ ref }) => ({
+            data: Object.keys(locks)
+              .filter((name) => name.startsWith(ref))
+              .map((name) => ({ ref: `refs/${name}` }))
+          })),
+          getRef: jest.fn(async ({ ref }) => {
+            if (!locks[ref]) throw { status: 404 }
+            return { data: { object: { sha: `sha-${ref}` } } }
+          }),
+          getCommit: jest.fn(async ({ commit_sha }) => ({
+            data: {
+              message: `Mutex lock\n\n${JSON.stringify(
+                locks[commit_sha.replace(/^sha-/, '')]
+              )}`
+            }
+          })),
+          deleteRef: jest.fn(async ({ ref }) => {
+            delete locks[ref]
+          })
+        },
+        actions: {
+          getWorkflowRun: jest.fn(async ({ run_id }) => {
+            if (!runs[run_id]) throw { status: 404 }
+            return { data: runs[run_id] }
+          })
+        }
+      }
+    }
+  })
+
+  describe('getHolderRun', () => {
+    it('returns the status of the holding run', async () => {
+      runs[42] = {
+        status: 'in_progress',
+        conclusion: null,
+        html_url: 'https://github.com/test-owner/test-repo/actions/runs/42'
+      }
+
+      const run = await getHolderRun(mockOctokit, lockData(42))
+
+      expect(mockOctokit.rest.actions.getWorkflowRun).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        run_id: 42
+      })
+      expect(run).toEqual({
+        status: 'in_progress',
+        conclusion: null,
+        url: 'https://github.com/test-owner/test-repo/actions/runs/42'
+      })
+    })
+
+    it('returns null when the run cannot be found', async () => {
+      expect(await getHolderRun(mockOctokit, lockData(42))).toBeNull()
+    })
+
+    it('returns null for locks without run metadata', async () => {
+      const run = await getHolderRun(mockOctokit, {
+        id: null,
+        timestamp: Date.now()
+      })
+
+      expect(run).toBeNull()
+      expect(mockOctokit.rest.actions.getWorkflowRun).not.toHaveBeenCalled()
+    })
+
+    it('throws other API errors', async () => {
+      mockOctokit.rest.actions.getWorkflowRun.mockRejectedValue({
+        status: 500
+      })
+
+      await expect(getHolderRun(mockOctokit, lockData(42))).rejects.toEqual({
+        status: 500
+      })
+    })
+  })
+
+  describe('listMutexLocks', () => {
+    it('lists locks with holder, age and run status', async () => {
+      locks['mutex/deploy'] = lockData(1)
+      locks['mutex/pool/0'] = lockData(2)
+      runs[1] = { status: 'in_progress', conclusion: null }
+
+      const result = await listMutexLocks(
+        mockOctokit,
+        'test-owner',
+        'test-repo'
+      )
+
+      expect(mockOctokit.rest.git.listMatchingRefs).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'mutex/'
+      })
+      expect(result.map((lock) => lock.name)).toEqual([
+        'mutex/deploy',
+        'mutex/pool/0'
+      ])
+      expect(result[0].data.id).toBe('lock-1')
+      expect(result[0].age).toBeGreaterThanOrEqual(60000)
+      expect(result[0].run.status).toBe('in_progress')
+      expect(result[1].run).toBeNull()
+    })
+
+    it('limits the listing to one key and its slots', async () => {
+      locks['mutex/deploy'] = lockData(1)
+      locks['mutex/pool/0'] = lockData(2)
+      locks['mutex/pool/1'] = lockData(3)
+      locks['mutex/pool10'] = lockData(4)
+
+      const result = await listMutexLocks(
+        mockOctokit,
+        'test-owner',
+        'test-repo',
+        { key: 'pool' }
+      )
+
+      expect(result.map((lock) => lock.name)).toEqual([
+        'mutex/pool/0',
+        'mutex/pool/1'
+      ])
+    })
+  })
+
+  describe('forceUnlockMutexes', () => {
+    it('removes locks whose holding run has finished', async () => {
+      locks['mutex/running'] = lockData(1)
+      locks['mutex/cancelled'] = lockData(2)
+      locks['mutex/unknown'] = lockData(3)
+      runs[1] = { status: 'in_progress', conclusion: null }
+      runs[2] = { status: 'completed', conclusion: 'cancelled' }
+
+      const removed = await forceUnlockMutexes(
+        mockOctokit,
+        'test-owner',
+        'test-repo'
+      )
+
+      expect(removed.map((lock) => lock.name)).toEqual(['mutex/cancelled'])
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledTimes(1)
+      expect(Object.keys(locks).sort()).toEqual([
+        'mutex/running',
+        'mutex/unknown'
+      ])
+    })
+
+    it('keeps a lock taken over after it was listed', async () => {
+      locks['mutex/deploy'] = lockData(1)
+      runs[1] = { status: 'completed', conclusion: 'success' }
+      mockOctokit.rest.actions.getWorkflowRun.mockImplementation(async () => {
+        // Another run takes the lock while the holder is looked up
+        locks['mutex/deploy'] = lockData(2)
+        return { data: runs[1] }
+      })
+
+      const removed = await forceUnlockMutexes(
+        mockOctokit,
+        'test-owner',
+        'test-repo'
+      )
+
+      expect(removed).toEqual([])
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the repository policy file, src/policy.js
+ */
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { loadPolicy, parsePolicy, resolvePolicyInputs } from '../src/policy.js'
+
+const policy = `
+defaults:
+  github-hosted-limit: 1000
+  on-api-error: warn
+profiles:
+  build:
+    self-hosted-tags: [self-hosted, linux]
+    github-hosted-tags: ubuntu-latest
+  deploy:
+    github-hosted-limit: 200
+    mutex-key: deploy
+    mutex-queue: true
+    mutex-timeout: 10m
+    minute-multipliers:
+      macos: 12
+  gpu:
+    runner-pools:
+      - name: gpu
+        type: self-hosted
+        labels: [self-hosted, gpu]
+`
+
+describe('parsePolicy', () => {
+  it('converts defaults and profiles to input strings', () => {
+    expect(parsePolicy(policy)).toEqual({
+      defaults: { 'github-hosted-limit': '1000', 'on-api-error': 'warn' },
+      profiles: {
+        build: {
+          'self-hosted-tags': 'self-hosted,linux',
+          'github-hosted-tags': 'ubuntu-latest'
+        },
+        deploy: {
+          'github-hosted-limit': '200',
+          'mutex-key': 'deploy',
+          'mutex-queue': 'true',
+          'mutex-timeout': '10m',
+          'minute-multipliers': 'macos=12'
+        },
+        gpu: {
+          'runner-pools':
+            '[{"name":"gpu","type":"self-hosted","labels":["self-hosted","gpu"]}]'
+        }
+      }
+    })
+  })
+
+  it('accepts an empty file', () => {
+    expect(parsePolicy('')).toEqual({ defaults: {}, profiles: {} })
+  })
+
+  it.each([
+    ['- build', 'expected a mapping with defaults and profiles'],
+    ['build: {}', 'build is not a policy section'],
+    ['profiles: [build]', 'profiles must be a mapping of profile names'],
+    ['defaults: fast', 'defaults must be a mapping of action inputs'],
+    [
+      'profiles: {build: {mutex-kye: deploy}}',
+      'profiles.build.mutex-kye is not an input the policy file can set'
+    ],
+    [
+      'defaults: {github-token: abc}',
+      'defaults.github-token cannot be set in the policy file'
+    ],
+    [
+      'profiles: {deploy: {mutex-slots: 0}}',
+      'profiles.deploy.mutex-slots must be an integer of at least 1'
+    ],
+    [
+      'profiles: {deploy: {github-hosted-limit: "1000"}}',
+      'profiles.deploy.github-hosted-limit must be an integer of at least 0'
+    ],
+    [
+      'profiles: {deploy: {mutex-queue: "yes"}}',
+      'profiles.deploy.mutex-queue must be true or false'
+    ],
+    [
+      'profiles: {deploy: {mutex-ttl: soon}}',
+      'profiles.deploy.mutex-ttl must be a duration'
+    ],
+    [
+      'profiles: {deploy: {mutex-backend: redis}}',
+      'profiles.deploy.mutex-backend must be one of "git-ref", "variable", "issue"'
+    ],
+    [
+      'profiles: {deploy: {mutex-repository: runner-locks}}',
+      'profiles.deploy.mutex-repository must be a repository such as "owner/repo"'
+    ],
+    [
+      'profiles: {build: {self-hosted-tags: [linux, 3]}}',
+      'profiles.build.self-hosted-tags must be a list of labels'
+    ],
+    [
+      'profiles: {build: {minute-multipliers: {macos: 0}}}',
+      'profiles.build.minute-multipliers.macos must be a number greater than 0'
+    ],
+    [
+      'profiles: {gpu: {runner-pools: [{name: gpu, type: cloud, labels: gpu}]}}',
+      'profiles.gpu.runner-pools[0].type must be "self-hosted" or "github-hosted"'
+    ],
+    [
+      'profiles: {gpu: {runner-pools: []}}',
+      'profiles.gpu.runner-pools: expected a non-empty list of pools'
+    ]
+  ])('rejects %j', (content, message) => {
+    expect(() => parsePolicy(content, 'policy.yml')).toThrow(
+      `Invalid policy file policy.yml: ${message}`
+    )
+  })
+
+  it('reports YAML syntax errors', () => {
+    expect(() => parsePolicy('profiles: [', 'policy.yml')).toThrow(
+      'Invalid policy file policy.yml:'
+    )
+  })
+})
+
+describe('loadPolicy', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'policy-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('reads and validates the policy file', async () => {
+    await writeFile(join(dir, 'pick-runner.yml'), policy)
+
+    const loaded = await loadPolicy(join(dir, 'pick-runner.yml'))
+
+    expect(Object.keys(loaded.profiles)).toEqual(['build', 'deploy', 'gpu'])
+  })
+
+  it('returns null when the file does not exist', async () => {
+    expect(await loadPolicy(join(dir, 'missing.yml'))).toBeNull()
+  })
+})
+
+describe('resolvePolicyInputs', () => {
+  const parsed = parsePolicy(policy)
+
+  it('applies the profile over the defaults', () => {
+    expect(resolvePolicyInputs(parsed, 'deploy', 'policy.yml')).toMatchObject({
+      'github-hosted-limit': '200',
+      'on-api-error': 'warn',
+      'mutex-key': 'deploy'
+    })
+  })
+
+  it('applies the defaults without a profile', () => {
+    expect(resolvePolicyInputs(parsed, '', 'policy.yml')).toEqual(
+      parsed.defaults
+    )
+  })
+
+  it('names the available profiles for an unknown profile', () => {
+    expect(() => resolvePolicyInputs(parsed, 'test', 'policy.yml')).toThrow(
+      'Unknown profile "test" in policy.yml. Available profiles: build, deploy, gpu'
+    )
+  })
+
+  it('requires the file for a profile', () => {
+    expect(() => resolvePolicyInputs(null, 'build', 'policy.yml')).toThrow(
+      'Policy file policy.yml not found, it is needed for profile "build"'
+    )
+    expect(resolvePolicyInputs(null, '', 'policy.yml')).toEqual({})
+  })
+})
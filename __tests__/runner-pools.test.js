@@ -0,0 +1,155 @@
+/**
+ * Unit tests for runner pool parsing, src/runner-pools.js
+ */
+import {
+  defaultRunnerPools,
+  getFallbackPool,
+  parseLabels,
+  parseRunnerPools
+} from '../src/runner-pools.js'
+
+describe('parseLabels', () => {
+  it('splits and trims comma-separated labels', () => {
+    expect(parseLabels(' self-hosted, linux ,,')).toEqual([
+      'self-hosted',
+      'linux'
+    ])
+  })
+})
+
+describe('defaultRunnerPools', () => {
+  it('builds a self-hosted pool followed by a GitHub-hosted pool', () => {
+    expect(defaultRunnerPools(['linux'], ['ubuntu-latest'])).toEqual([
+      { name: 'self-hosted', type: 'self-hosted', labels: ['linux'] },
+      {
+        name: 'github-hosted',
+        type: 'github-hosted',
+        labels: ['ubuntu-latest']
+      }
+    ])
+  })
+})
+
+describe('parseRunnerPools', () => {
+  it('parses YAML pools with their conditions', () => {
+    const pools = parseRunnerPools(`
+- name: gpu
+  type: self-hosted
+  labels: [self-hosted, gpu]
+  min-idle: 2
+- name: hosted
+  type: github-hosted
+  labels: ubuntu-latest, ubuntu-22.04
+  min-minutes: 500
+  budget: 12.5
+- name: overflow
+  type: github-hosted
+  labels: ubuntu-latest
+  always: true
+`)
+
+    expect(pools).toEqual([
+      {
+        name: 'gpu',
+        type: 'self-hosted',
+        labels: ['self-hosted', 'gpu'],
+        minIdle: 2,
+        minMinutes: undefined,
+        budget: undefined,
+        always: false
+      },
+      {
+        name: 'hosted',
+        type: 'github-hosted',
+        labels: ['ubuntu-latest', 'ubuntu-22.04'],
+        minIdle: undefined,
+        minMinutes: 500,
+        budget: 12.5,
+        always: false
+      },
+      {
+        name: 'overflow',
+        type: 'github-hosted',
+        labels: ['ubuntu-latest'],
+        minIdle: undefined,
+        minMinutes: undefined,
+        budget: undefined,
+        always: true
+      }
+    ])
+  })
+
+  it('parses JSON pools', () => {
+    expect(
+      parseRunnerPools(
+        '[{"name": "cpu", "type": "self-hosted", "labels": ["linux"]}]'
+      )
+    ).toMatchObject([{ name: 'cpu', type: 'self-hosted', labels: ['linux'] }])
+  })
+
+  it.each([
+    ['name: gpu', 'expected a non-empty list of pools'],
+    ['[]', 'expected a non-empty list of pools'],
+    ['- gpu', 'runner-pools[0] must be a mapping'],
+    ['- type: self-hosted\n  labels: gpu', 'runner-pools[0].name must be'],
+    [
+      '- {name: a, type: self-hosted, labels: a}\n- {name: a, type: self-hosted, labels: b}',
+      'runner-pools[1].name "a" is used by an earlier pool'
+    ],
+    [
+      '- {name: a, type: cloud, labels: a}',
+      'runner-pools[0].type must be "self-hosted" or "github-hosted"'
+    ],
+    [
+      '- {name: a, type: self-hosted, labels: []}',
+      'runner-pools[0].labels must be a non-empty list of labels'
+    ],
+    [
+      '- {name: a, type: self-hosted, labels: a, budget: 5}',
+      'runner-pools[0].budget is not a condition of self-hosted pools'
+    ],
+    [
+      '- {name: a, type: self-hosted, labels: a, min-idle: 0}',
+      'runner-pools[0].min-idle must be an integer of at least 1'
+    ],
+    [
+      '- {name: a, type: github-hosted, labels: a, budget: "-1"}',
+      'runner-pools[0].budget must be a number of at least 0'
+    ],
+    [
+      '- {name: a, type: github-hosted, labels: a, always: yes}',
+      'runner-pools[0].always must be true or false'
+    ]
+  ])('rejects %j', (value, message) => {
+    expect(() => parseRunnerPools(value)).toThrow(
+      `Invalid runner-pools: ${message}`
+    )
+  })
+
+  it('reports YAML syntax errors', () => {
+    expect(() => parseRunnerPools('- [unclosed')).toThrow(
+      'Invalid runner-pools:'
+    )
+  })
+})
+
+describe('getFallbackPool', () => {
+  it('prefers the first self-hosted pool', () => {
+    const pools = [
+      { name: 'hosted', type: 'github-hosted' },
+      { name: 'gpu', type: 'self-hosted' },
+      { name: 'cpu', type: 'self-hosted' }
+    ]
+
+    expect(getFallbackPool(pools).name).toBe('gpu')
+  })
+
+  it('uses the last pool without self-hosted pools', () => {
+    const pools = [
+      { name: 'large', type: 'github-hosted' },
+      { name: 'small', type: 'github-hosted' }
+    ]
+
+    expect(getFallbackPool(pools).name).toBe('small')
+  })
+})
@@ -0,0 +1,406 @@
+/**
+ * Unit tests for the runner selection rules, src/runner-selection.js
+ */
+import {
+  countAvailableRunners,
+  countQueuedJobs,
+  formatMinutes,
+  formatRunnerLabels,
+  formatUsd,
+  selectRunner
+} from '../src/runner-selection.js'
+
+const runner = (busy, ...labels) => ({
+  status: 'online',
+  busy,
+  labels: labels.map((name) => ({ name }))
+})
+
+const pools = [
+  { name: 'self-hosted', type: 'self-hosted', labels: ['linux'] },
+  { name: 'github-hosted', type: 'github-hosted', labels: ['ubuntu-latest'] }
+]
+
+const config = { pools, githubHostedLimit: 1000 }
+
+// 2000 minutes left
+const billing = { included_minutes: 3000, total_minutes_used: 1000 }
+const exhausted = { included_minutes: 3000, total_minutes_used: 2500 }
+
+describe('countAvailableRunners', () => {
+  it('counts idle online runners with every label, ignoring case', () => {
+    const runners = [
+      runner(false, 'self-hosted', 'GPU'),
+      runner(true, 'self-hosted', 'gpu'),
+      { ...runner(false, 'self-hosted', 'gpu'), status: 'offline' },
+      { ...runner(false, 'self-hosted', 'gpu'), _groupAllowed: false },
+      runner(false, 'self-hosted')
+    ]
+
+    expect(countAvailableRunners(runners, ['self-hosted', 'gpu'])).toBe(1)
+  })
+})
+
+describe('countQueuedJobs', () => {
+  it('counts jobs one of the pool runners could take', () => {
+    const runners = [
+      runner(true, 'self-hosted', 'linux', 'x64'),
+      runner(false, 'self-hosted', 'linux'),
+      runner(false, 'self-hosted', 'gpu')
+    ]
+    const jobs = [
+      { labels: ['self-hosted'] },
+      { labels: ['Linux', 'X64'] },
+      { labels: ['self-hosted', 'gpu'] },
+      { labels: ['ubuntu-latest'] },
+      { labels: [] }
+    ]
+
+    expect(countQueuedJobs(jobs, runners, ['self-hosted', 'linux'])).toBe(2)
+  })
+})
+
+describe('formatting', () => {
+  it('formats labels, amounts and minutes', () => {
+    expect(formatRunnerLabels(['linux'])).toBe('"linux"')
+    expect(formatRunnerLabels(['linux', 'x64'])).toBe('["linux","x64"]')
+    expect(formatUsd(12.5)).toBe('$12.50')
+    expect(formatMinutes(Infinity)).toBe('unlimited')
+    expect(formatMinutes(42)).toBe(42)
+  })
+})
+
+describe('selectRunner', () => {
+  it('selects available self-hosted runners', () => {
+    const decision = selectRunner(
+      { runners: [runner(false, 'linux')], billing },
+      config
+    )
+
+    expect(decision).toEqual({
+      runner: '"linux"',
+      labels: ['linux'],
+      type: 'self-hosted',
+      pool: 'self-hosted',
+      reason: 'Self-hosted runners are available',
+      reasonCode: 'self-hosted-available',
+      candidates: [
+        {
+          pool: 'self-hosted',
+          type: 'self-hosted',
+          reasonCode: 'self-hosted-available',
+          notes: ['Self-hosted runners are available and not busy: linux']
+        }
+      ]
+    })
+  })
+
+  it('selects GitHub-hosted runners with enough remaining minutes', () => {
+    const decision = selectRunner(
+      { runners: [runner(true, 'linux')], billing },
+      config
+    )
+
+    expect(decision).toMatchObject({
+      runner: '"ubuntu-latest"',
+      type: 'github-hosted',
+      reasonCode: 'github-hosted-minutes',
+      reason:
+        'GitHub-hosted runners have sufficient remaining minutes (2000 >= 1000)'
+    })
+    expect(decision.candidates.map((c) => c.reasonCode)).toEqual([
+      'unavailable',
+      'github-hosted-minutes'
+    ])
+  })
+
+  it('treats unlimited minutes as sufficient', () => {
+    const decision = selectRunner(
+      {
+        runners: [],
+        billing: { included_minutes: Infinity, total_minutes_used: 0 }
+      },
+      config
+    )
+
+    expect(decision.reason).toBe(
+      'GitHub-hosted runners have sufficient remaining minutes (unlimited >= 1000)'
+    )
+  })
+
+  it('notes the minute multiplier and estimated billing', () => {
+    const decision = selectRunner(
+      { runners: [], billing: { ...billing, estimated: true } },
+      {
+        ...config,
+        pools: [
+          pools[0],
+          { ...pools[1], labels: ['windows-latest'], minMinutes: 500 }
+        ]
+      }
+    )
+
+    expect(decision.reason).toBe(
+      'GitHub-hosted runners have sufficient remaining minutes (1000 >= 500, 2x minute multiplier, estimated)'
+    )
+  })
+
+  it('falls back to self-hosted runners when minutes are insufficient', () => {
+    const decision = selectRunner({ runners: [], billing: exhausted }, config)
+
+    expect(decision).toMatchObject({
+      type: 'self-hosted',
+      reasonCode: 'fallback',
+      reason:
+        'GitHub-hosted runners insufficient (500 < 1000), using self-hosted as fallback'
+    })
+  })
+
+  it('uses GitHub-hosted runners within the budget', () => {
+    const decision = selectRunner(
+      { runners: [], billing: { ...exhausted, net_amount: 12.5 } },
+      { ...config, githubHostedBudget: 50 }
+    )
+
+    expect(decision).toMatchObject({
+      type: 'github-hosted',
+      reasonCode: 'github-hosted-budget',
+      reason:
+        'GitHub-hosted runners within budget ($12.50 of $50.00 spent this month)'
+    })
+  })
+
+  it('reports a spent budget in the fallback reason', () => {
+    const decision = selectRunner(
+      { runners: [], billing: { ...exhausted, gross_amount: 60 } },
+      { ...config, githubHostedBudget: 50 }
+    )
+
+    expect(decision.candidates[1].reasonCode).toBe('budget-spent')
+    expect(decision.reason).toBe(
+      'GitHub-hosted runners insufficient (500 < 1000, $60.00 of $50.00 budget spent), using self-hosted as fallback'
+    )
+  })
+
+  it('ignores the budget when the spend is unknown', () => {
+    const decision = selectRunner(
+      { runners: [], billing: exhausted },
+      { ...config, githubHostedBudget: 50 }
+    )
+
+    expect(decision.reasonCode).toBe('fallback')
+    expect(decision.candidates[1].notes).toContain(
+      'Actions spend unknown, github-hosted-budget not applied'
+    )
+  })
+
+  it('applies an assumed availability over the runners', () => {
+    expect(
+      selectRunner({ runners: [], available: true, billing }, config).reasonCode
+    ).toBe('self-hosted-available')
+    expect(
+      selectRunner(
+        { runners: [runner(false, 'linux')], available: false, billing },
+        config
+      ).type
+    ).toBe('github-hosted')
+  })
+
+  it('requires the idle runners of min-idle', () => {
+    const state = {
+      runners: [runner(false, 'linux'), runner(false, 'linux')],
+      billing
+    }
+    const withMinIdle = (minIdle) => ({
+      ...config,
+      pools: [{ ...pools[0], minIdle }, pools[1]]
+    })
+
+    expect(selectRunner(state, withMinIdle(2)).type).toBe('self-hosted')
+    expect(selectRunner(state, withMinIdle(3)).type).toBe('github-hosted')
+  })
+
+  it('selects a pool marked always', () => {
+    const decision = selectRunner(
+      { runners: [], billing: exhausted },
+      {
+        ...config,
+        pools: [...pools, { ...pools[1], name: 'overflow', always: true }]
+      }
+    )
+
+    expect(decision).toMatchObject({
+      pool: 'overflow',
+      reasonCode: 'always',
+      reason: 'Runner pool overflow is always eligible'
+    })
+  })
+
+  it('falls back to the last pool without self-hosted pools', () => {
+    const decision = selectRunner(
+      { runners: [], billing },
+      {
+        ...config,
+        pools: [
+          { ...pools[1], name: 'large', minMinutes: 5000 },
+          { ...pools[1], name: 'small', minMinutes: 3000 }
+        ]
+      }
+    )
+
+    expect(decision).toMatchObject({
+      pool: 'small',
+      reason:
+        'GitHub-hosted runners insufficient (2000 < 3000), using github-hosted as fallback'
+    })
+  })
+
+  describe('with a queue depth', () => {
+    const idle = [runner(false, 'linux'), runner(false, 'linux')]
+    const queued = (count) =>
+      Array.from({ length: count }, () => ({ labels: ['linux'] }))
+
+    it('selects self-hosted runners while idle runners exceed the queue', () => {
+      const decision = selectRunner(
+        { runners: idle, billing, queuedJobs: queued(1) },
+        { ...config, maxQueueDepth: 0 }
+      )
+
+      expect(decision).toMatchObject({
+        type: 'self-hosted',
+        reason: 'Self-hosted runners are available (2 idle, 1 queued)'
+      })
+    })
+
+    it('leaves idle runners to the queued jobs', () => {
+      const decision = selectRunner(
+        { runners: idle, billing, queuedJobs: queued(2) },
+        { ...config, maxQueueDepth: 0 }
+      )
+
+      expect(decision.type).toBe('github-hosted')
+      expect(decision.candidates[0]).toEqual({
+        pool: 'self-hosted',
+        type: 'self-hosted',
+        reasonCode: 'queue-too-deep',
+        notes: [
+          'Self-hosted runners are claimed by queued jobs (2 idle, 2 queued)'
+        ]
+      })
+    })
+
+    it('allows waiting behind up to max-queue-depth jobs', () => {
+      const queueConfig = { ...config, maxQueueDepth: 2 }
+
+      expect(
+        selectRunner(
+          { runners: idle, billing, queuedJobs: queued(3) },
+          queueConfig
+        ).type
+      ).toBe('self-hosted')
+      expect(
+        selectRunner(
+          { runners: idle, billing, queuedJobs: queued(4) },
+          queueConfig
+        ).type
+      ).toBe('github-hosted')
+    })
+
+    it('ignores the queue when it is unknown or not configured', () => {
+      expect(
+        selectRunner(
+          { runners: idle, billing, queuedJobs: null },
+          { ...config, maxQueueDepth: 0 }
+        ).reason
+      ).toBe('Self-hosted runners are available')
+      expect(
+        selectRunner({ runners: idle, billing, queuedJobs: queued(5) }, config)
+          .type
+      ).toBe('self-hosted')
+    })
+  })
+
+  describe('with a mutex', () => {
+    const mutexConfig = { ...config, mutex: true }
+    const idle = [runner(false, 'linux')]
+
+    it('asks for the lock of an available self-hosted pool', () => {
+      const decision = selectRunner({ runners: idle, billing }, mutexConfig)
+
+      expect(decision).toMatchObject({
+        pool: 'self-hosted',
+        reasonCode: 'lock-required'
+      })
+    })
+
+    it('selects the pool once the lock is held', () => {
+      const decision = selectRunner(
+        {
+          runners: idle,
+          billing,
+          lock: { pool: 'self-hosted', acquired: true, description: 'deploy' }
+        },
+        mutexConfig
+      )
+
+      expect(decision).toMatchObject({
+        type: 'self-hosted',
+        reasonCode: 'self-hosted-locked',
+        reason: 'Self-hosted runners available with mutex protection (deploy)'
+      })
+    })
+
+    it('moves on when the lock was not acquired', () => {
+      const decision = selectRunner(
+        {
+          runners: idle,
+          billing,
+          lock: { pool: 'self-hosted', acquired: false }
+        },
+        mutexConfig
+      )
+
+      expect(decision.type).toBe('github-hosted')
+      expect(decision.candidates[0].reasonCode).toBe('lock-failed')
+    })
+
+    it('moves on when the runners became busy while waiting', () => {
+      const decision = selectRunner(
+        {
+          runners: [runner(true, 'linux')],
+          billing,
+          lock: { pool: 'self-hosted', acquired: true, description: 'deploy' }
+        },
+        mutexConfig
+      )
+
+      expect(decision.type).toBe('github-hosted')
+      expect(decision.candidates[0].reasonCode).toBe('became-unavailable')
+    })
+
+    it('skips other self-hosted pools once a lock was attempted', () => {
+      const decision = selectRunner(
+        {
+          runners: [runner(false, 'linux'), runner(false, 'gpu')],
+          billing: exhausted,
+          lock: { pool: 'gpu', acquired: false }
+        },
+        {
+          ...mutexConfig,
+          pools: [
+            { name: 'gpu', type: 'self-hosted', labels: ['gpu'] },
+            pools[0],
+            pools[1]
+          ]
+        }
+      )
+
+      expect(decision.candidates.map((c) => c.reasonCode)).toEqual([
+        'lock-failed',
+        'lock-skipped',
+        'insufficient-minutes'
+      ])
+      expect(decision).toMatchObject({ pool: 'gpu', reasonCode: 'fallback' })
+    })
+  })
+})
@@ -3,15 +3,17 @@
 import commonjs from '@rollup/plugin-commonjs'
 import { nodeResolve } from '@rollup/plugin-node-resolve'
 
-const config = {
-  input: 'src/index.js',
+const entry = (name) => ({
+  input: `src/${name}.js`,
   output: {
     esModule: true,
-    file: 'dist/index.js',
+    file: `dist/${name}.js`,
     format: 'es',
     sourcemap: true
   },
   plugins: [commonjs(), nodeResolve({ preferBuiltins: true })]
-}
+})
+
+const config = [entry('index'), entry('post')]
 
 export default config
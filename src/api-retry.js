@@ -0,0 +1,152 @@
+/**
+ * Retry and rate-limit handling for GitHub API requests
+ */
+import { classifyApiError } from './errors.js'
+
+// Upper bound for a single wait before retrying a request
+const MAX_RETRY_WAIT_MS = 60000
+
+// Requests that can be repeated without changing the outcome. DELETE is left
+// out: a lock deleted by name may have been taken again by another run before
+// the retry, which would then delete that run's lock.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT']
+
+// Share of the rate limit below which the remaining budget is logged
+const LOW_BUDGET_RATIO = 0.1
+
+/**
+ * Retry failed requests of an Octokit instance and track its rate limit
+ * Rate-limited requests are retried for every method, since GitHub rejected
+ * them before doing anything. Server and network errors are only retried for
+ * idempotent methods, so a lock is never created or deleted twice.
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries per request (default: 3)
+ * @param {number} options.retryDelayMs - Base exponential backoff delay (default: 1 second)
+ * @param {Function} options.sleep - Wait function (default: setTimeout)
+ * @returns {Object} State updated with the last seen rate limit
+ */
+export function installRetry(octokit, options = {}) {
+  const retries = options.retries ?? 3
+  const retryDelayMs = options.retryDelayMs ?? 1000
+  const sleep =
+    options.sleep ?? ((ms) => new Promise((resolve) => setTimeout(resolve, ms)))
+  const state = { rateLimit: null, lowBudgetLogged: false }
+
+  octokit.hook.wrap('request', async (request, requestOptions) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request(requestOptions)
+        recordRateLimit(state, response.headers)
+        return response
+      } catch (error) {
+        recordRateLimit(state, error.response?.headers)
+
+        const delay = getRetryDelay(
+          error,
+          requestOptions.method,
+          attempt,
+          retryDelayMs
+        )
+        if (attempt >= retries || delay === null) {
+          throw error
+        }
+
+        console.log(
+          `GitHub API ${requestOptions.method} ${requestOptions.url} failed (${
+            error.status ?? error.message
+          }), retrying in ${delay}ms (${attempt + 1}/${retries})`
+        )
+        await sleep(delay)
+      }
+    }
+  })
+
+  return state
+}
+
+/**
+ * Compute how long to wait before retrying a failed request
+ * @param {Object} error - Request error
+ * @param {string} method - HTTP method
+ * @param {number} attempt - Number of retries so far
+ * @param {number} retryDelayMs - Base backoff delay in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if not retryable
+ */
+export function getRetryDelay(error, method, attempt, retryDelayMs) {
+  const base = Math.min(retryDelayMs * 2 ** attempt, MAX_RETRY_WAIT_MS)
+  const backoff = Math.round(base / 2 + (Math.random() * base) / 2)
+  const kind = classifyApiError(error)
+
+  if (kind === 'rate-limit') {
+    const wait = getRateLimitWait(error.response?.headers) ?? backoff
+    // Waiting for a reset far in the future would only stall the workflow
+    return wait <= MAX_RETRY_WAIT_MS ? wait : null
+  }
+
+  if (kind === 'server' && IDEMPOTENT_METHODS.includes(method)) {
+    return backoff
+  }
+
+  return null
+}
+
+/**
+ * Read the wait requested by a rate-limited response
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Wait in milliseconds, or null if not given
+ */
+function getRateLimitWait(headers = {}) {
+  if (headers['retry-after'] !== undefined) {
+    return Number(headers['retry-after']) * 1000
+  }
+
+  if (
+    headers['x-ratelimit-remaining'] === '0' &&
+    headers['x-ratelimit-reset'] !== undefined
+  ) {
+    return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0)
+  }
+
+  return null
+}
+
+/**
+ * Remember the rate limit reported by a response
+ * @param {Object} state - Retry state
+ * @param {Object} headers - Response headers
+ */
+function recordRateLimit(state, headers) {
+  if (headers?.['x-ratelimit-remaining'] === undefined) {
+    return
+  }
+
+  state.rateLimit = {
+    remaining: Number(headers['x-ratelimit-remaining']),
+    limit: Number(headers['x-ratelimit-limit']),
+    reset: Number(headers['x-ratelimit-reset'])
+  }
+
+  const { remaining, limit } = state.rateLimit
+  if (!state.lowBudgetLogged && remaining < limit * LOW_BUDGET_RATIO) {
+    state.lowBudgetLogged = true
+    console.log(
+      `GitHub API rate limit is running low: ${describeRateLimit(state.rateLimit)}`
+    )
+  }
+}
+
+/**
+ * Format a rate limit for logs
+ * @param {Object|null} rateLimit - Rate limit from the retry state
+ * @returns {string} Remaining budget and reset time
+ */
+export function describeRateLimit(rateLimit) {
+  if (!rateLimit) {
+    return 'unknown'
+  }
+
+  return `${rateLimit.remaining}/${rateLimit.limit} requests remaining, resets at ${new Date(
+    rateLimit.reset * 1000
+  ).toISOString()}`
+}
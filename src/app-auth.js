@@ -0,0 +1,160 @@
+/**
+ * GitHub App authentication
+ */
+import { createSign } from 'node:crypto'
+import { Octokit } from '@octokit/rest'
+import { isEnterpriseServerUrl } from './github-api.js'
+
+// Installation permissions the action relies on, by account type
+const REQUIRED_PERMISSIONS = {
+  Organization: {
+    organization_self_hosted_runners: 'Self-hosted runners',
+    organization_plan: 'Plan'
+  },
+  User: {
+    administration: 'Administration'
+  }
+}
+
+// Only needed for the billing API, which GHES does not have
+const BILLING_PERMISSIONS = ['organization_plan']
+
+/**
+ * Create the JSON Web Token a GitHub App authenticates with
+ * @param {string} appId - GitHub App ID or client ID
+ * @param {string} privateKey - PEM encoded private key of the app
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {string} RS256 signed JWT, valid for 9 minutes
+ */
+export function createAppJwt(appId, privateKey, now = Date.now()) {
+  // Backdated to allow for clock drift between the runner and GitHub
+  const issuedAt = Math.floor(now / 1000) - 60
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString('base64url')
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+    iat: issuedAt,
+    exp: issuedAt + 600,
+    iss: /^\d+$/.test(appId) ? Number(appId) : appId
+  })}`
+
+  let signature
+  try {
+    signature = createSign('RSA-SHA256')
+      .update(unsigned)
+      .sign(privateKey.replace(/\\n/g, '\n'), 'base64url')
+  } catch (error) {
+    throw new Error(`Invalid app-private-key: ${error.message}`)
+  }
+  return `${unsigned}.${signature}`
+}
+
+/**
+ * Find the installation of a GitHub App on an organization or user account
+ * @param {Object} octokit - Octokit instance authenticated as the app
+ * @param {string} owner - Organization or user name
+ * @returns {Promise<Object|null>} Installation, or null if not installed
+ */
+async function findInstallation(octokit, owner) {
+  const lookups = [
+    () => octokit.rest.apps.getOrgInstallation({ org: owner }),
+    () => octokit.rest.apps.getUserInstallation({ username: owner })
+  ]
+
+  for (const lookup of lookups) {
+    try {
+      const { data } = await lookup()
+      return data
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Check that an installation token has the permissions the action needs
+ * @param {Object} installation - App installation
+ * @param {Object} permissions - Permissions granted to the token
+ * @param {boolean} billing - Whether billing permissions are needed
+ * @throws {Error} Naming every missing permission
+ */
+function checkPermissions(installation, permissions, billing) {
+  const required = REQUIRED_PERMISSIONS[installation.target_type] ?? {}
+  const missing = Object.keys(required).filter(
+    (permission) =>
+      !permissions?.[permission] &&
+      (billing || !BILLING_PERMISSIONS.includes(permission))
+  )
+
+  if (missing.length > 0) {
+    throw new Error(
+      `GitHub App installation on ${installation.account?.login} lacks the ${missing
+        .map((permission) => `"${required[permission]}" (${permission})`)
+        .join(' and ')} permission${
+        missing.length > 1 ? 's' : ''
+      }. Grant read access in the app settings and approve the updated permissions on the installation`
+    )
+  }
+}
+
+/**
+ * Create an installation access token for a GitHub App
+ * @param {Object} app - App credentials
+ * @param {string} app.appId - GitHub App ID or client ID
+ * @param {string} app.privateKey - PEM encoded private key of the app
+ * @param {string} app.installationId - Installation ID (default: the
+ *   installation on the owner account)
+ * @param {string} app.owner - Account the app is installed on
+ * @param {string} app.apiUrl - REST API base URL (default:
+ *   https://api.github.com)
+ * @returns {Promise<Object>} Token and installation
+ */
+export async function getAppInstallationToken(app) {
+  const octokit = new Octokit({
+    auth: createAppJwt(app.appId, app.privateKey),
+    ...(app.apiUrl && { baseUrl: app.apiUrl.replace(/\/+$/, '') })
+  })
+
+  let installation
+  try {
+    installation = app.installationId
+      ? (
+          await octokit.rest.apps.getInstallation({
+            installation_id: Number(app.installationId)
+          })
+        ).data
+      : await findInstallation(octokit, app.owner)
+  } catch (error) {
+    if (error.status === 401) {
+      throw new Error(
+        `GitHub App authentication failed for app ${app.appId}: check app-id and app-private-key`
+      )
+    }
+    if (error.status === 404) {
+      throw new Error(
+        `GitHub App ${app.appId} has no installation ${app.installationId}`
+      )
+    }
+    throw error
+  }
+
+  if (!installation) {
+    throw new Error(`GitHub App ${app.appId} is not installed on ${app.owner}`)
+  }
+
+  const { data } = await octokit.rest.apps.createInstallationAccessToken({
+    installation_id: installation.id
+  })
+  checkPermissions(
+    installation,
+    data.permissions,
+    !isEnterpriseServerUrl(app.apiUrl)
+  )
+
+  console.log(
+    `Authenticated as GitHub App ${app.appId} (installation ${installation.id} on ${installation.account?.login})`
+  )
+  return { token: data.token, installation }
+}
@@ -0,0 +1,78 @@
+/**
+ * File cache for billing and owner type lookups
+ * Lets repeated invocations on a runner reuse data that changes hourly at
+ * most instead of calling the billing endpoints again.
+ */
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+
+export class BillingCache {
+  /**
+   * @param {string} filePath - JSON file holding the cache entries
+   * @param {number} ttlMs - Time after which an entry is fetched again
+   * @param {Function} now - Clock returning milliseconds (default: Date.now)
+   */
+  constructor(filePath, ttlMs, now = Date.now) {
+    this.filePath = filePath
+    this.ttlMs = ttlMs
+    this.now = now
+  }
+
+  /**
+   * Build a cache key scoped to an owner and the current billing month
+   * @param {string} kind - Kind of lookup, e.g. "billing"
+   * @param {string} owner - Owner name
+   * @returns {string} Cache key, e.g. "billing/octo-org/2024-05"
+   */
+  key(kind, owner) {
+    const month = new Date(this.now()).toISOString().slice(0, 7)
+    return `${kind}/${owner}/${month}`
+  }
+
+  /**
+   * Read a fresh entry
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or undefined on a miss
+   */
+  async get(key) {
+    const entry = (await this.readEntries())[key]
+    if (!entry || this.now() - entry.storedAt > this.ttlMs) {
+      return undefined
+    }
+    return entry.value
+  }
+
+  /**
+   * Store an entry, dropping expired ones
+   * @param {string} key - Cache key
+   * @param {*} value - JSON serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const entries = Object.fromEntries(
+      Object.entries(await this.readEntries()).filter(
+        ([, entry]) => this.now() - entry.storedAt <= this.ttlMs
+      )
+    )
+    entries[key] = { storedAt: this.now(), value }
+
+    // Replace the file at once so concurrent readers never see partial JSON
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+    await mkdir(dirname(this.filePath), { recursive: true })
+    await writeFile(tempPath, JSON.stringify(entries))
+    await rename(tempPath, this.filePath)
+  }
+
+  /**
+   * Read all entries, treating a missing or corrupt file as empty
+   * @returns {Promise<Object>} Entries by key
+   */
+  async readEntries() {
+    try {
+      const entries = JSON.parse(await readFile(this.filePath, 'utf8'))
+      return entries && typeof entries === 'object' ? entries : {}
+    } catch {
+      return {}
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Duration parsing for time based inputs
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+}
+
+/**
+ * Parse a duration such as "90s", "10m", "1h30m" or "500ms"
+ * A bare number is interpreted as seconds.
+ * @param {string} value - Duration string
+ * @param {string} name - Input name used in error messages
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(value, name = 'duration') {
+  const input = String(value).trim().toLowerCase()
+
+  if (/^\d+(\.\d+)?$/.test(input)) {
+    return Math.round(parseFloat(input) * UNITS.s)
+  }
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g
+  let total = 0
+  let consumed = 0
+  let match
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match.index !== consumed) {
+      break
+    }
+    total += parseFloat(match[1]) * UNITS[match[2]]
+    consumed = pattern.lastIndex
+  }
+
+  if (consumed === 0 || consumed !== input.length) {
+    throw new Error(
+      `Invalid duration for ${name}: "${value}". Use a number of seconds or a value like "90s", "10m" or "1h30m"`
+    )
+  }
+
+  return Math.round(total)
+}
@@ -0,0 +1,68 @@
+/**
+ * Error types shared across the action
+ */
+
+/**
+ * Classify a failed GitHub API request
+ * @param {Object} error - Octokit request error
+ * @returns {string} "auth", "rate-limit", "server" or "error"
+ */
+export function classifyApiError(error) {
+  const headers = error.response?.headers ?? {}
+
+  // Primary limits exhaust the budget, secondary limits ask to retry later
+  if (
+    error.status === 429 ||
+    (error.status === 403 &&
+      (headers['x-ratelimit-remaining'] === '0' ||
+        headers['retry-after'] !== undefined ||
+        /secondary rate limit/i.test(error.message ?? '')))
+  ) {
+    return 'rate-limit'
+  }
+  if (error.status === 401 || error.status === 403) {
+    return 'auth'
+  }
+  if (error.status >= 500) {
+    return 'server'
+  }
+  return 'error'
+}
+
+/**
+ * Raised when one or more runner listings failed
+ * Carries the runners of the levels that were listed successfully, so the
+ * caller can decide whether to continue without the failed levels.
+ */
+export class RunnerApiError extends Error {
+  /**
+   * @param {Array<Object>} failures - Failed levels with level, status, kind and message
+   * @param {Array<Object>} runners - Runners from the levels that succeeded
+   */
+  constructor(failures, runners = []) {
+    super(
+      `Failed to list self-hosted runners: ${failures
+        .map(
+          (failure) =>
+            `${failure.level} level (${failure.status ?? failure.kind}: ${failure.message})`
+        )
+        .join(', ')}`
+    )
+    this.name = 'RunnerApiError'
+    this.failures = failures
+    this.runners = runners
+  }
+
+  /**
+   * Describe the failed levels for the selection reason
+   * @returns {string} Failed levels and status codes, e.g. "org level (403)"
+   */
+  describeLevels() {
+    return this.failures
+      .map(
+        (failure) =>
+          `${failure.level} level (${failure.status ?? failure.kind})`
+      )
+      .join(', ')
+  }
+}
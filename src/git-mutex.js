@@ -1,66 +1,110 @@
+import { randomUUID } from 'node:crypto'
+import { createLockBackend } from './lock-backends/index.js'
+import { getHolderRun } from './mutex-status.js'
+
+// Locks older than this are considered abandoned and may be removed
+const DEFAULT_LOCK_TTL_MS = 600000
+
+// Upper bound for a single exponential backoff delay
+const MAX_BACKOFF_MS = 60000
+
 /**
- * Git Refs based mutex implementation for GitHub Actions
- * Provides exclusive access to resources using Git references as locks
+ * Mutex implementation for GitHub Actions
+ * Provides exclusive access to resources using named lock records kept by a
+ * lock backend (Git refs by default, see lock-backends/index.js).
+ * Locks outlive the process that acquired them and must be released explicitly,
+ * either directly or from another job via a mutex token.
+ *
+ * Each lock record carries the lock metadata (owner run, job, acquisition
+ * time, last heartbeat). Locks are leases: the holder renews them with
+ * heartbeats, and waiters only remove a lock whose last heartbeat is older
+ * than the TTL.
  */
 class GitMutex {
-  constructor(octokit, owner, repo, lockKey) {
+  /**
+   * @param {Object} octokit - Octokit instance
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} lockKey - Mutex key
+   * @param {Object} options - Mutex options
+   * @param {number} options.ttlMs - Age after which a lock is considered stale
+   * @param {string} options.backoff - Retry strategy, "fixed" or "exponential"
+   * @param {number} options.slots - Number of concurrent holders allowed
+   * @param {boolean} options.queue - Grant the lock in arrival order
+   * @param {string} options.backend - Lock backend name (default: "git-ref")
+   */
+  constructor(octokit, owner, repo, lockKey, options = {}) {
     this.octokit = octokit
     this.owner = owner
     this.repo = repo
     this.lockKey = lockKey
-    this.lockRef = `mutex/${lockKey}`
+    this.ttlMs = options.ttlMs ?? DEFAULT_LOCK_TTL_MS
+    this.backoff = options.backoff ?? 'fixed'
+    this.slots = options.slots ?? 1
+    this.queue = options.queue ?? false
+    this.backendName = options.backend ?? 'git-ref'
+    this.backend = createLockBackend(this.backendName, octokit, owner, repo)
+    this.slot = null
+    this.lockRef = this.getSlotRef(0)
     this.lockData = {
+      id: randomUUID(),
+      repository: process.env.GITHUB_REPOSITORY || 'unknown',
       workflow: process.env.GITHUB_RUN_ID || 'unknown',
+      attempt: process.env.GITHUB_RUN_ATTEMPT || '1',
       job: process.env.GITHUB_JOB || 'unknown',
       timestamp: Date.now(),
       sha: process.env.GITHUB_SHA || 'unknown'
     }
     this.acquired = false
+    this.holder = null
+    this.ticketRef = null
+    this.ticketVersion = null
+    this.ticketData = null
+    this.queuePosition = null
+    this.waitingBehind = 0
+    // Holder run lookups by lock, so waiting does not poll the run each try
+    this.holderRuns = new Map()
   }
 
   /**
    * Attempt to acquire the mutex lock
+   * In semaphore mode any free slot is claimed. In queue mode the waiter
+   * takes a ticket and only competes for a slot once it is at the front.
    * @param {number} timeoutMs - Timeout in milliseconds (default: 5 minutes)
    * @param {number} retryIntervalMs - Retry interval in milliseconds (default: 3 seconds)
    * @returns {Promise<boolean>} True if lock acquired, false if timeout
    */
   async acquireLock(timeoutMs = 300000, retryIntervalMs = 3000) {
     const startTime = Date.now()
+    let attempt = 0
 
-    while (Date.now() - startTime < timeoutMs) {
-      try {
-        // Try to create the ref (atomic operation)
-        await this.octokit.rest.git.createRef({
-          owner: this.owner,
-          repo: this.repo,
-          ref: `refs/${this.lockRef}`,
-          sha: this.lockData.sha
-        })
-
-        this.acquired = true
-        console.log(`Mutex lock acquired: ${this.lockKey}`)
-
-        // Set up cleanup handlers
-        this.setupCleanupHandlers()
-
-        return true
-      } catch (error) {
-        if (error.status === 422) {
-          // Ref already exists, check if it's expired
-          const cleaned = await this.checkAndCleanExpiredLock()
-          if (cleaned) {
-            continue // Try again immediately
-          }
-
-          // Wait before retrying
+    try {
+      while (Date.now() - startTime < timeoutMs) {
+        if (await this.tryAcquire()) {
+          this.acquired = true
+          this.holder = this.lockData
           console.log(
-            `Mutex lock busy: ${this.lockKey}, retrying in ${retryIntervalMs}ms...`
+            this.slots > 1
+              ? `Mutex lock acquired: ${this.lockKey} (slot ${this.slot + 1}/${this.slots})`
+              : `Mutex lock acquired: ${this.lockKey}`
           )
-          await new Promise((resolve) => setTimeout(resolve, retryIntervalMs))
-        } else {
-          console.error(`Mutex error: ${error.message}`)
-          throw error
+
+          return true
         }
+
+        // Wait before retrying, but never past the timeout
+        const delay = Math.min(
+          this.getRetryDelay(attempt++, retryIntervalMs),
+          Math.max(timeoutMs - (Date.now() - startTime), 0)
+        )
+        console.log(
+          `Mutex lock busy: ${this.lockKey} (${this.describeWait()}), retrying in ${delay}ms...`
+        )
+        await new Promise((resolve) => setTimeout(resolve, delay))
+      }
+    } finally {
+      if (this.ticketRef) {
+        await this.leaveQueue()
       }
     }
 
@@ -68,8 +112,229 @@ class GitMutex {
     return false
   }
 
+  /**
+   * Make a single acquisition attempt
+   * @returns {Promise<boolean>} True if a slot was claimed
+   */
+  async tryAcquire() {
+    if (this.queue) {
+      const position = await this.getQueuePosition()
+
+      if (this.queuePosition === null) {
+        this.queuePosition = position + 1
+        console.log(
+          `Joined mutex queue: ${this.lockKey} (position ${this.queuePosition})`
+        )
+      }
+
+      // Only the waiters at the front of the queue may claim a slot
+      this.waitingBehind = position
+      if (position >= this.slots) {
+        await this.renewTicket()
+        return false
+      }
+    }
+
+    // Record the acquisition time in the lock
+    this.lockData.timestamp = Date.now()
+
+    for (let slot = 0; slot < this.slots; slot++) {
+      if (await this.claimSlot(slot)) {
+        return true
+      }
+    }
+
+    // The front of the queue may wait out a long hold, keep the ticket alive
+    if (this.queue) {
+      await this.renewTicket()
+    }
+
+    return false
+  }
+
+  /**
+   * Describe why the last acquisition attempt had to wait
+   * @returns {string} Wait reason for logs
+   */
+  describeWait() {
+    if (this.queue && this.waitingBehind >= this.slots) {
+      return `position ${this.waitingBehind + 1} in queue`
+    }
+
+    return this.slots > 1
+      ? `all ${this.slots} slots held`
+      : `held by ${GitMutex.describeHolder(this.holder)}`
+  }
+
+  /**
+   * Try to claim a single lock slot
+   * @param {number} slot - Slot index
+   * @returns {Promise<boolean>} True if the slot was claimed
+   */
+  async claimSlot(slot) {
+    const ref = this.getSlotRef(slot)
+
+    // A held slot is only read, so waiting writes no new lock records
+    if (!(await this.checkAndCleanExpiredLock(ref))) {
+      return false
+    }
+
+    let version
+    try {
+      // Creating the record is atomic, it fails if another waiter was faster
+      version = await this.backend.create(ref, this.lockData)
+    } catch (error) {
+      console.error(`Mutex error: ${error.message}`)
+      throw error
+    }
+
+    if (version === null) {
+      return false
+    }
+
+    this.slot = slot
+    this.lockRef = ref
+    return true
+  }
+
+  /**
+   * Take a queue ticket
+   * Tickets are named after their creation time so that sorting them by name
+   * gives arrival order. They live outside mutex/<key> because with the
+   * git-ref backend a ref cannot be both a lock and a directory of tickets.
+   */
+  async joinQueue() {
+    const ticketRef = `mutex-queue/${this.lockKey}/${Date.now()}-${
+      this.lockData.workflow
+    }-${this.lockData.id.slice(0, 8)}`
+    this.ticketData = { ...this.lockData, heartbeat: Date.now() }
+    this.ticketVersion = await this.backend.create(ticketRef, this.ticketData)
+
+    if (this.ticketVersion === null) {
+      throw new Error(`Mutex queue ticket already exists: ${ticketRef}`)
+    }
+
+    this.ticketRef = ticketRef
+  }
+
+  /**
+   * Remove this waiter's queue ticket
+   */
+  async leaveQueue() {
+    try {
+      await this.backend.delete(this.ticketRef)
+    } catch (error) {
+      console.error(`Error leaving mutex queue: ${error.message}`)
+    }
+
+    this.ticketRef = null
+  }
+
+  /**
+   * Determine how many live waiters are ahead of this one
+   * Takes a ticket first if this waiter has none (or lost it), and removes
+   * stale tickets ahead of it using the lock TTL.
+   * @returns {Promise<number>} Number of waiters ahead in the queue
+   */
+  async getQueuePosition() {
+    if (!this.ticketRef) {
+      await this.joinQueue()
+    }
+
+    const tickets = (
+      await this.backend.list(`mutex-queue/${this.lockKey}/`)
+    ).sort(
+      (a, b) =>
+        GitMutex.ticketTime(a) - GitMutex.ticketTime(b) || a.localeCompare(b)
+    )
+
+    const index = tickets.indexOf(this.ticketRef)
+    if (index === -1) {
+      // Our ticket was reaped as stale, queue up again
+      console.log(`Mutex queue ticket lost: ${this.ticketRef}`)
+      this.ticketRef = null
+      return this.getQueuePosition()
+    }
+
+    let ahead = 0
+    for (const ticket of tickets.slice(0, index)) {
+      // Tickets younger than the TTL cannot be stale, skip reading them
+      if (Date.now() - GitMutex.ticketTime(ticket) <= this.ttlMs) {
+        ahead++
+      } else if (!(await this.reapStaleTicket(ticket))) {
+        ahead++
+      }
+    }
+
+    return ahead
+  }
+
+  /**
+   * Remove a queue ticket whose waiter stopped renewing it
+   * @param {string} ticketRef - Ticket name
+   * @returns {Promise<boolean>} True if the ticket is gone
+   */
+  async reapStaleTicket(ticketRef) {
+    try {
+      const ticket = await this.readLock(ticketRef)
+      if (!ticket) {
+        return true
+      }
+      if (!this.isStale(ticket.data)) {
+        return false
+      }
+
+      console.log(`Cleaning stale mutex queue ticket: ${ticketRef}`)
+      await this.backend.delete(ticketRef)
+      return true
+    } catch (error) {
+      console.error(`Error checking stale queue ticket: ${error.message}`)
+      return false
+    }
+  }
+
+  /**
+   * Refresh this waiter's ticket heartbeat so others do not reap it
+   * Renewal happens once a third of the TTL has passed since the last one.
+   */
+  async renewTicket() {
+    if (Date.now() - this.ticketData.heartbeat < this.ttlMs / 3) {
+      return
+    }
+
+    const ticketData = { ...this.ticketData, heartbeat: Date.now() }
+    const version = await this.backend.update(
+      this.ticketRef,
+      ticketData,
+      this.ticketVersion
+    )
+
+    if (version === null) {
+      // The ticket was reaped, the next position check queues up again
+      this.ticketRef = null
+      return
+    }
+
+    this.ticketData = ticketData
+    this.ticketVersion = version
+  }
+
+  /**
+   * Get the record name of a lock slot
+   * A plain mutex uses a single record; a semaphore uses one record per slot.
+   * @param {number} slot - Slot index
+   * @returns {string} Record name (the ref name without "refs/" for git-ref)
+   */
+  getSlotRef(slot) {
+    return this.slots > 1
+      ? `mutex/${this.lockKey}/${slot}`
+      : `mutex/${this.lockKey}`
+  }
+
   /**
    * Release the mutex lock
+   * Only deletes the lock if it is still this mutex's lock, so a lock that
+   * expired and was taken over by another run is left alone.
    */
   async releaseLock() {
     if (!this.acquired) {
@@ -77,66 +342,119 @@ class GitMutex {
     }
 
     try {
-      await this.octokit.rest.git.deleteRef({
-        owner: this.owner,
-        repo: this.repo,
-        ref: this.lockRef
-      })
+      const lock = await this.readLock()
+
+      if (!lock) {
+        // Lock doesn't exist, that's fine
+        this.acquired = false
+        return
+      }
+
+      if (lock.data.id !== this.lockData.id) {
+        console.log(
+          `Mutex lock ${this.lockKey} is now held by ${GitMutex.describeHolder(
+            lock.data
+          )}, not releasing`
+        )
+        this.acquired = false
+        return
+      }
+
+      await this.backend.delete(this.lockRef)
 
       this.acquired = false
       console.log(`Mutex lock released: ${this.lockKey}`)
     } catch (error) {
-      if (error.status === 422) {
-        // Ref doesn't exist, that's fine
-        this.acquired = false
-      } else {
-        console.error(`Error releasing mutex lock: ${error.message}`)
-      }
+      console.error(`Error releasing mutex lock: ${error.message}`)
     }
   }
 
+  /**
+   * Renew the lease on a held lock by recording a new heartbeat
+   * The update is conditional on the version that was read, so it fails if
+   * the lock was replaced in the meantime.
+   * @returns {Promise<boolean>} True if renewed, false if the lock is no longer held
+   */
+  async renewLock() {
+    if (!this.acquired) {
+      return false
+    }
+
+    const lock = await this.readLock()
+
+    if (!lock || lock.data.id !== this.lockData.id) {
+      console.log(
+        lock
+          ? `Mutex lock ${this.lockKey} is now held by ${GitMutex.describeHolder(lock.data)}`
+          : `Mutex lock ${this.lockKey} no longer exists`
+      )
+      this.acquired = false
+      return false
+    }
+
+    const lockData = { ...lock.data, heartbeat: Date.now() }
+    const version = await this.backend.update(
+      this.lockRef,
+      lockData,
+      lock.version
+    )
+
+    if (version === null) {
+      console.log(`Mutex lock ${this.lockKey} changed while renewing`)
+      this.acquired = false
+      return false
+    }
+
+    this.lockData = lockData
+    console.log(`Mutex lock renewed: ${this.lockKey}`)
+    return true
+  }
+
   /**
    * Check if the current lock is expired and clean it up
+   * A lock is expired once its TTL has passed or as soon as the workflow run
+   * holding it has completed (including cancelled runs).
+   * @param {string} ref - Lock to check (default: this mutex's lock)
    * @returns {Promise<boolean>} True if lock was cleaned up
    */
-  async checkAndCleanExpiredLock() {
+  async checkAndCleanExpiredLock(ref = this.lockRef) {
     try {
-      const { data: ref } = await this.octokit.rest.git.getRef({
-        owner: this.owner,
-        repo: this.repo,
-        ref: this.lockRef
-      })
+      const lock = await this.readLock(ref)
 
-      // Get the commit to check timestamp
-      const { data: commit } = await this.octokit.rest.git.getCommit({
-        owner: this.owner,
-        repo: this.repo,
-        commit_sha: ref.object.sha
-      })
+      if (!lock) {
+        // Lock doesn't exist, that's fine
+        return true
+      }
 
-      const commitTime = new Date(commit.author.date).getTime()
-      const now = Date.now()
-      const lockAge = now - commitTime
+      this.holder = lock.data
 
-      // Consider lock expired after 10 minutes
-      if (lockAge > 600000) {
+      if (this.isStale(lock.data)) {
+        const lockAge =
+          Date.now() - (lock.data.heartbeat ?? lock.data.timestamp)
         console.log(
-          `Cleaning expired mutex lock: ${this.lockKey} (age: ${Math.round(lockAge / 1000)}s)`
+          `Cleaning expired mutex lock: ${ref} held by ${GitMutex.describeHolder(
+            lock.data
+          )} (age: ${Math.round(lockAge / 1000)}s)`
         )
 
-        await this.octokit.rest.git.deleteRef({
-          owner: this.owner,
-          repo: this.repo,
-          ref: this.lockRef
-        })
+        await this.backend.delete(ref)
 
         return true
       }
-    } catch (error) {
-      if (error.status === 404) {
-        // Ref doesn't exist, that's fine
+
+      const run = await this.getHolderRun(lock)
+      if (run?.status === 'completed') {
+        console.log(
+          `Cleaning mutex lock of finished run: ${ref} held by ${GitMutex.describeHolder(
+            lock.data
+          )} (run ${run.conclusion ?? 'completed'})`
+        )
+
+        await this.backend.delete(ref)
+
         return true
       }
+    } catch (error) {
       console.error(`Error checking expired lock: ${error.message}`)
     }
 
@@ -144,25 +462,134 @@ class GitMutex {
   }
 
   /**
-   * Set up cleanup handlers to release lock on process exit
+   * Look up the workflow run holding a lock
+   * The result is reused for a third of the TTL per lock, so a waiter retrying
+   * on a held lock looks its run up about as often as the holder renews it.
+   * @param {Object} lock - Lock version and metadata
+   * @returns {Promise<Object|null>} Holder run, or null if it is unknown
    */
-  setupCleanupHandlers() {
-    const cleanup = async () => {
-      if (this.acquired) {
-        console.log('Process exiting, releasing mutex lock...')
-        await this.releaseLock()
-      }
+  async getHolderRun(lock) {
+    const key = lock.data.id ?? lock.version
+    const cached = this.holderRuns.get(key)
+    if (cached && Date.now() - cached.checkedAt < this.ttlMs / 3) {
+      return cached.run
     }
 
-    // Handle various exit scenarios
-    process.on('exit', cleanup)
-    process.on('SIGINT', cleanup)
-    process.on('SIGTERM', cleanup)
-    process.on('uncaughtException', async (error) => {
-      console.error('Uncaught exception:', error)
-      await cleanup()
-      process.exit(1)
+    const run = await getHolderRun(this.octokit, lock.data)
+    this.holderRuns.set(key, { run, checkedAt: Date.now() })
+    return run
+  }
+
+  /**
+   * Check whether a lock's last heartbeat is older than the TTL
+   * @param {Object} lockData - Lock metadata
+   * @returns {boolean} True if the lock is stale
+   */
+  isStale(lockData) {
+    return Date.now() - (lockData.heartbeat ?? lockData.timestamp) > this.ttlMs
+  }
+
+  /**
+   * Compute how long to wait before the next acquisition attempt
+   * Exponential backoff doubles the interval per attempt and adds jitter so
+   * waiters started at the same time do not retry in lockstep.
+   * @param {number} attempt - Number of failed attempts so far
+   * @param {number} retryIntervalMs - Base retry interval in milliseconds
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, retryIntervalMs) {
+    if (this.backoff !== 'exponential') {
+      return retryIntervalMs
+    }
+
+    const base = Math.min(retryIntervalMs * 2 ** attempt, MAX_BACKOFF_MS)
+    return Math.round(base / 2 + (Math.random() * base) / 2)
+  }
+
+  /**
+   * Read a lock and its metadata
+   * @param {string} lockRef - Lock to read (default: this mutex's lock)
+   * @returns {Promise<Object|null>} Lock version and metadata, or null if unlocked
+   */
+  async readLock(lockRef = this.lockRef) {
+    return this.backend.read(lockRef)
+  }
+
+  /**
+   * Get the metadata of the current lock holder
+   * @returns {Object|null} Lock metadata, or null if no holder has been seen
+   */
+  getHolder() {
+    return this.acquired ? this.lockData : this.holder
+  }
+
+  /**
+   * Serialize the lock identity so another step or job can release it
+   * @returns {string} Opaque mutex token
+   */
+  getToken() {
+    return Buffer.from(
+      JSON.stringify({
+        owner: this.owner,
+        repo: this.repo,
+        key: this.lockKey,
+        id: this.lockData.id,
+        slots: this.slots,
+        slot: this.slot,
+        backend: this.backendName
+      })
+    ).toString('base64')
+  }
+
+  /**
+   * Restore a held mutex from a token produced by getToken()
+   * @param {Object} octokit - Octokit instance
+   * @param {string} token - Mutex token
+   * @returns {GitMutex} Mutex instance marked as acquired
+   */
+  static fromToken(octokit, token) {
+    let data
+    try {
+      data = JSON.parse(Buffer.from(token, 'base64').toString('utf8'))
+    } catch {
+      throw new Error('Invalid mutex token')
+    }
+
+    if (!data || !data.owner || !data.repo || !data.key || !data.id) {
+      throw new Error('Invalid mutex token')
+    }
+
+    const mutex = new GitMutex(octokit, data.owner, data.repo, data.key, {
+      slots: data.slots ?? 1,
+      backend: data.backend ?? 'git-ref'
     })
+    mutex.slot = data.slot ?? 0
+    mutex.lockRef = mutex.getSlotRef(mutex.slot)
+    mutex.lockData.id = data.id
+    mutex.acquired = true
+    return mutex
+  }
+
+  /**
+   * Get the creation time encoded in a queue ticket name
+   * @param {string} ticketRef - Ticket name
+   * @returns {number} Creation time in milliseconds since the epoch
+   */
+  static ticketTime(ticketRef) {
+    return parseInt(ticketRef.split('/').pop(), 10) || 0
+  }
+
+  /**
+   * Format lock metadata for logs and outputs
+   * @param {Object|null} data - Lock metadata
+   * @returns {string} Human readable holder description
+   */
+  static describeHolder(data) {
+    if (!data || !data.workflow) {
+      return 'unknown holder'
+    }
+
+    return `${data.repository} run ${data.workflow} attempt ${data.attempt} (job ${data.job})`
   }
 }
 
@@ -1,13 +1,185 @@
 import { Octokit } from '@octokit/rest'
+import { describeRateLimit, installRetry } from './api-retry.js'
+import { classifyApiError, RunnerApiError } from './errors.js'
+import { getEffectiveRemainingMinutes, inferRunnerOs } from './minutes.js'
+import { countAvailableRunners } from './runner-selection.js'
+
+// Largest page size accepted by the runner listing endpoints
+const RUNNERS_PER_PAGE = 100
+
+// Workflow runs whose jobs are read when looking for queued jobs
+const QUEUED_JOB_RUN_LIMIT = 20
+
+// Job listings requested at once, to stay clear of the secondary rate limit
+const QUEUED_JOB_CONCURRENCY = 4
+
+// Actions minutes included per month, by plan name
+const PLAN_INCLUDED_MINUTES = {
+  free: 2000,
+  pro: 3000,
+  team: 3000,
+  business: 50000,
+  enterprise: 50000
+}
+
+// Used when neither the billing API nor the plan reports included minutes
+const DEFAULT_INCLUDED_MINUTES = 3000
+
+// Keys of the legacy billing API minute breakdown, by runner OS
+const BREAKDOWN_KEYS = {
+  linux: 'UBUNTU',
+  windows: 'WINDOWS',
+  macos: 'MACOS'
+}
+
+/**
+ * Describe a failed listing as a failure of its level
+ * @param {string} level - Listing level, e.g. "org" or "runner-groups"
+ * @param {Object} error - Request error
+ * @returns {Object} Failure with level, status, kind and message
+ */
+function describeFailure(level, error) {
+  return {
+    level,
+    status: error.status ?? null,
+    kind: classifyApiError(error),
+    message: error.message
+  }
+}
+
+/**
+ * Check whether an API URL points to a GitHub Enterprise Server instance
+ * @param {string} apiUrl - REST API base URL
+ * @returns {boolean} True for GHES URLs, which end in /api/v3
+ */
+export function isEnterpriseServerUrl(apiUrl) {
+  return /\/api\/v3\/?$/.test(apiUrl ?? '')
+}
+
+/**
+ * Sum the month-to-date spend of usage report items
+ * @param {Array<Object>} items - Actions usage items
+ * @returns {Object} Net and gross amounts in USD
+ */
+function summarizeSpend(items) {
+  const sum = (field) =>
+    Math.round(
+      items.reduce((total, item) => total + (item[field] || 0), 0) * 100
+    ) / 100
+
+  return {
+    net_amount: sum('netAmount'),
+    gross_amount: sum('grossAmount')
+  }
+}
 
 /**
  * GitHub API client for runner management
  */
 export class GitHubAPI {
-  constructor(token) {
+  /**
+   * @param {string} token - GitHub token
+   * @param {Object} options - Client options
+   * @param {number} options.runnerPageLimit - Maximum number of pages read
+   *   per runner listing (default: 10)
+   * @param {string} options.enterprise - Enterprise slug whose runners are
+   *   also considered (default: none)
+   * @param {number} options.retries - Retries per failed request (default: 3)
+   * @param {number} options.retryDelayMs - Base retry backoff delay
+   *   (default: 1 second)
+   * @param {string} options.apiUrl - REST API base URL (default:
+   *   https://api.github.com)
+   * @param {number} options.includedMinutes - Included Actions minutes per
+   *   month, overriding billing and plan data (default: none)
+   * @param {BillingCache} options.cache - Cache for billing and owner type
+   *   lookups (default: none)
+   */
+  constructor(token, options = {}) {
     this.octokit = new Octokit({
-      auth: token
+      auth: token,
+      ...(options.apiUrl && { baseUrl: options.apiUrl.replace(/\/+$/, '') })
     })
+    this.enterpriseServer = isEnterpriseServerUrl(options.apiUrl)
+    this.includedMinutes = options.includedMinutes ?? null
+    this.cache = options.cache ?? null
+    this.retryState = installRetry(this.octokit, {
+      retries: options.retries,
+      retryDelayMs: options.retryDelayMs
+    })
+    this.runnerPageLimit = options.runnerPageLimit ?? 10
+    this.enterprise = options.enterprise || null
+  }
+
+  /**
+   * Read a lookup from the cache, or run it and cache its result
+   * Cache failures are logged and never fail the lookup.
+   * @param {string} kind - Kind of lookup, e.g. "billing"
+   * @param {string} owner - Owner name
+   * @param {Function} lookup - Function returning a promise of the value
+   * @returns {Promise<*>} Cached or looked up value
+   */
+  async cached(kind, owner, lookup) {
+    if (!this.cache) {
+      return lookup()
+    }
+
+    const key = this.cache.key(kind, owner)
+    try {
+      const value = await this.cache.get(key)
+      if (value !== undefined) {
+        console.log(`Cache hit: ${key}`)
+        return value
+      }
+    } catch (error) {
+      console.log(`Cache unavailable: ${error.message}`)
+      return lookup()
+    }
+
+    console.log(`Cache miss: ${key}`)
+    const value = await lookup()
+    try {
+      await this.cache.set(key, value)
+    } catch (error) {
+      console.log(`Cache not updated: ${error.message}`)
+    }
+    return value
+  }
+
+  /**
+   * Describe the remaining API rate limit budget
+   * @returns {string} Rate limit summary for logs
+   */
+  getRateLimitSummary() {
+    return `GitHub API rate limit: ${describeRateLimit(this.retryState.rateLimit)}`
+  }
+
+  /**
+   * List all runners of a runner listing endpoint, page by page
+   * Stops after the configured page limit so huge fleets cannot exhaust the
+   * rate limit.
+   * @param {Function|string} method - Octokit listing method or route
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Array>} Array of runner objects
+   */
+  async listRunners(method, params) {
+    let pages = 0
+
+    return this.octokit.paginate(
+      method,
+      { ...params, per_page: RUNNERS_PER_PAGE },
+      (response, done) => {
+        pages++
+        if (pages >= this.runnerPageLimit) {
+          if (/rel="next"/.test(response.headers?.link ?? '')) {
+            console.log(
+              `Runner listing stopped after ${pages} pages, some runners were not considered`
+            )
+          }
+          done()
+        }
+        return response.data
+      }
+    )
   }
 
   /**
@@ -17,19 +189,37 @@ export class GitHubAPI {
    * @returns {Promise<Object>} Promise that resolves to runners result
    */
   async getRepoRunners(owner, repo) {
-    return this.octokit.rest.actions
-      .listSelfHostedRunnersForRepo({
+    return this.listRunners(
+      this.octokit.rest.actions.listSelfHostedRunnersForRepo,
+      {
         owner,
         repo
-      })
-      .then((response) => ({
+      }
+    )
+      .then((runners) => ({
         type: 'repo',
-        runners: response.data.runners
+        runners
       }))
-      .catch(() => {
-        console.log('No repository-level self-hosted runners available')
-        return { type: 'repo', runners: [] }
-      })
+      .catch(this.handleRunnerListingError('repo', 'repository-level'))
+  }
+
+  /**
+   * Build the error handler of a runner listing
+   * A 404 means the level has no self-hosted runners; any other error is
+   * recorded as a failure of that level instead of being treated as "none".
+   * @param {string} type - Runner level ("repo", "org" or "enterprise")
+   * @param {string} description - Level description for logs
+   * @returns {Function} Promise rejection handler resolving to a runners result
+   */
+  handleRunnerListingError(type, description) {
+    return (error) => {
+      if (error.status === 404) {
+        console.log(`No ${description} self-hosted runners available`)
+        return { type, runners: [] }
+      }
+
+      return { type, runners: [], failure: describeFailure(type, error) }
+    }
   }
 
   /**
@@ -38,6 +228,8 @@ export class GitHubAPI {
    * @param {string} repo - Repository name (for user repos)
    * @param {boolean} isOrg - Whether this is an organization
    * @returns {Promise<Array>} Array of runner objects
+   * @throws {RunnerApiError} If a level could not be listed, with the runners
+   *   of the other levels
    */
   async getSelfHostedRunners(owner, repo = null, isOrg = true) {
     const allRunners = []
@@ -51,19 +243,34 @@ export class GitHubAPI {
     // For organizations, also get organization-level runners
     if (isOrg) {
       promises.push(
-        this.octokit.rest.actions
-          .listSelfHostedRunnersForOrg({
+        this.listRunners(
+          this.octokit.rest.actions.listSelfHostedRunnersForOrg,
+          {
             org: owner
-          })
-          .then((response) => ({
+          }
+        )
+          .then((runners) => ({
             type: 'org',
-            runners: response.data.runners
+            runners
           }))
-          .catch(() => {
-            console.log('No organization-level self-hosted runners available')
-            return { type: 'org', runners: [] }
-          })
+          .catch(this.handleRunnerListingError('org', 'organization-level'))
       )
+
+      // Enterprise runners are only usable through organizations
+      if (this.enterprise) {
+        promises.push(
+          this.listRunners('GET /enterprises/{enterprise}/actions/runners', {
+            enterprise: this.enterprise
+          })
+            .then((runners) => ({
+              type: 'enterprise',
+              runners
+            }))
+            .catch(
+              this.handleRunnerListingError('enterprise', 'enterprise-level')
+            )
+        )
+      }
     }
 
     // If no promises were added, return empty array
@@ -72,34 +279,212 @@ export class GitHubAPI {
       return []
     }
 
-    const results = await Promise.all(promises)
+    let groupFailure = null
+    const [results, allowedGroups] = await Promise.all([
+      Promise.all(promises),
+      isOrg && repo
+        ? this.getAllowedRunnerGroups(owner, repo).catch((error) => {
+            // Without the groups, no grouped runner is known to be usable
+            groupFailure = describeFailure('runner-groups', error)
+            return new Set()
+          })
+        : null
+    ])
 
-    // Combine all runners from different levels
+    // Combine all runners from different levels, listing each runner once
+    const seen = new Set()
     results.forEach((result) => {
       if (result.runners && result.runners.length > 0) {
         // Add source information to each runner for debugging
-        const runnersWithSource = result.runners.map((runner) => ({
-          ...runner,
-          _source: result.type // Add source info for debugging
-        }))
+        const runnersWithSource = result.runners
+          .filter((runner) => !seen.has(runner.id))
+          .map((runner) => {
+            seen.add(runner.id)
+            const withSource = {
+              ...runner,
+              _source: result.type // Add source info for debugging
+            }
+            if (
+              !this.isRunnerGroupAllowed(runner, result.type, allowedGroups)
+            ) {
+              withSource._groupAllowed = false
+            }
+            return withSource
+          })
         allRunners.push(...runnersWithSource)
       }
     })
 
-    const levelDescription = isOrg ? '(org + repo level)' : '(repo level)'
+    const levelDescription = isOrg
+      ? this.enterprise
+        ? '(enterprise + org + repo level)'
+        : '(org + repo level)'
+      : '(repo level)'
     console.log(
       `Found ${allRunners.length} total self-hosted runners ${levelDescription}`
     )
+
+    const excluded = allRunners.filter(
+      (runner) => runner._groupAllowed === false
+    )
+    if (excluded.length > 0) {
+      console.log(
+        `Excluded ${excluded.length} runners in runner groups not available to ${repo}`
+      )
+    }
+
+    const failures = results
+      .filter((result) => result.failure)
+      .map((result) => result.failure)
+    if (groupFailure) {
+      failures.push(groupFailure)
+    }
+    if (failures.length > 0) {
+      throw new RunnerApiError(failures, allRunners)
+    }
     return allRunners
   }
 
+  /**
+   * Get the runner groups a repository may use
+   * Includes enterprise groups shared with the organization.
+   * @param {string} org - Organization name
+   * @param {string} repo - Repository name
+   * @returns {Promise<Set<number>|null>} IDs of the usable runner groups, or
+   *   null if the organization has no runner groups (404)
+   * @throws {Error} If the runner groups could not be listed otherwise
+   */
+  async getAllowedRunnerGroups(org, repo) {
+    try {
+      const groups = await this.octokit.paginate(
+        this.octokit.rest.actions.listSelfHostedRunnerGroupsForOrg,
+        { org, visible_to_repository: repo, per_page: 100 }
+      )
+      return new Set(groups.map((group) => group.id))
+    } catch (error) {
+      if (error.status === 404) {
+        console.log(
+          'No runner groups found (404), runner group access not checked'
+        )
+        return null
+      }
+      console.log(
+        `Runner groups could not be listed (${error.status ?? error.message})`
+      )
+      throw error
+    }
+  }
+
+  /**
+   * Check whether a runner's group is usable by the repository
+   * Repository runners and runners without group information are always
+   * usable.
+   * @param {Object} runner - Runner object
+   * @param {string} source - Listing the runner came from
+   * @param {Set<number>|null} allowedGroups - Usable runner group IDs
+   * @returns {boolean} True if the runner may be used
+   */
+  isRunnerGroupAllowed(runner, source, allowedGroups) {
+    if (source === 'repo' || !allowedGroups || runner.runner_group_id == null) {
+      return true
+    }
+    return allowedGroups.has(runner.runner_group_id)
+  }
+
   /**
    * Get billing information for GitHub Actions
+   * The included minutes come from the included-minutes override, the legacy
+   * billing API or the account's plan, in that order; if none is available
+   * the default quota is used and the result is marked as estimated.
    * @param {string} owner - Owner name (organization or user)
    * @param {boolean} isOrg - Whether this is an organization
+   * @param {Object} options - Billing options
+   * @param {boolean} options.spend - Also read the month-to-date Actions
+   *   spend (net_amount and gross_amount in USD) from the usage report
    * @returns {Promise<Object>} Billing information
    */
-  async getBillingInfo(owner, isOrg = true) {
+  async getBillingInfo(owner, isOrg = true, options = {}) {
+    // GHES has no Actions billing endpoints and no metered hosted minutes
+    if (this.enterpriseServer) {
+      console.log(
+        'Billing API not available on GitHub Enterprise Server, treating GitHub-hosted capacity as unlimited'
+      )
+      return {
+        total_minutes_used: 0,
+        included_minutes: this.includedMinutes ?? Infinity,
+        minutes_used_breakdown: {
+          total: 0
+        },
+        included_minutes_source:
+          this.includedMinutes != null ? 'override' : 'unlimited',
+        estimated: false
+      }
+    }
+
+    const usage = await this.cached(
+      options.spend ? 'billing-spend' : 'billing',
+      owner,
+      async () => {
+        const usage = await this.getActionsUsage(owner, isOrg)
+
+        // The legacy billing API reports minutes but no spend
+        if (
+          options.spend &&
+          usage.net_amount === undefined &&
+          usage.unavailable !== true
+        ) {
+          try {
+            Object.assign(
+              usage,
+              summarizeSpend(await this.getUsageReport(owner, isOrg))
+            )
+          } catch (error) {
+            console.log(
+              `Actions spend unavailable (${error.status ?? error.message})`
+            )
+          }
+        }
+        return usage
+      }
+    )
+
+    let includedMinutes = this.includedMinutes
+    let source = 'override'
+    if (includedMinutes == null && usage.included_minutes != null) {
+      includedMinutes = usage.included_minutes
+      source = 'billing'
+    }
+    if (includedMinutes == null) {
+      const plan = await this.cached('plan', owner, () =>
+        this.getPlan(owner, isOrg)
+      )
+      if (plan) {
+        includedMinutes = PLAN_INCLUDED_MINUTES[plan]
+        source = `plan "${plan}"`
+      }
+    }
+    if (includedMinutes == null) {
+      includedMinutes = DEFAULT_INCLUDED_MINUTES
+      source = 'default'
+    }
+
+    return {
+      ...usage,
+      included_minutes: includedMinutes,
+      included_minutes_source: source,
+      // Unavailable billing APIs report no usage at all
+      estimated: source === 'default' || usage.unavailable === true
+    }
+  }
+
+  /**
+   * Get the Actions minutes used in the current billing period
+   * @param {string} owner - Owner name (organization or user)
+   * @param {boolean} isOrg - Whether this is an organization
+   * @returns {Promise<Object>} Minutes used, and the included minutes when the
+   *   legacy billing API reports them
+   */
+  async getActionsUsage(owner, isOrg) {
     try {
       // Try legacy API first
       try {
@@ -113,41 +498,34 @@ export class GitHubAPI {
         return data
       } catch (legacyError) {
         // Fallback to new enhanced billing API
-        const endpoint = isOrg
-          ? 'GET /organizations/{org}/settings/billing/usage'
-          : 'GET /users/{username}/settings/billing/usage'
-        const params = isOrg ? { org: owner } : { username: owner }
-
-        const now = new Date()
-        const currentMonth = now.getMonth() + 1 // API uses 1-12, getMonth() returns 0-11
-        const currentYear = now.getFullYear()
-
-        const { data } = await this.octokit.request(endpoint, {
-          ...params,
-          year: currentYear,
-          month: currentMonth,
-          headers: {
-            'X-GitHub-Api-Version': '2022-11-28'
-          }
-        })
+        const usageItems = await this.getUsageReport(owner, isOrg)
 
         // Transform to legacy format - only filter for actions minutes
-        const actionsUsage =
-          data.usageItems?.filter((item) => {
-            return item.product === 'actions' && item.unitType === 'Minutes'
-          }) || []
+        const actionsUsage = usageItems.filter(
+          (item) => item.unitType === 'Minutes'
+        )
 
         const totalMinutes = actionsUsage.reduce(
           (sum, item) => sum + (item.quantity || 0),
           0
         )
 
+        // Break the minutes down by runner OS like the legacy API does
+        const breakdown = { total: totalMinutes }
+        actionsUsage
+          .filter((item) => item.sku)
+          .forEach((item) => {
+            const key = BREAKDOWN_KEYS[inferRunnerOs(item.sku)]
+            breakdown[key] = (breakdown[key] ?? 0) + (item.quantity || 0)
+          })
+
+        // The enhanced API doesn't report included minutes, and its
+        // quantities are job minutes before OS multipliers
         return {
           total_minutes_used: totalMinutes,
-          included_minutes: 3000, // Default fallback - enhanced API doesn't provide this
-          minutes_used_breakdown: {
-            total: totalMinutes
-          }
+          minutes_used_breakdown: breakdown,
+          minutes_multiplied: false,
+          ...summarizeSpend(usageItems)
         }
       }
     } catch (error) {
@@ -159,25 +537,102 @@ export class GitHubAPI {
         console.log('Billing API unavailable, using default values')
         return {
           total_minutes_used: 0,
-          included_minutes: 3000,
           minutes_used_breakdown: {
             total: 0
-          }
+          },
+          unavailable: true
         }
       }
       throw error
     }
   }
 
+  /**
+   * Get the Actions items of the enhanced billing usage report for the
+   * current month
+   * @param {string} owner - Owner name (organization or user)
+   * @param {boolean} isOrg - Whether this is an organization
+   * @returns {Promise<Array<Object>>} Actions usage items
+   */
+  async getUsageReport(owner, isOrg) {
+    const endpoint = isOrg
+      ? 'GET /organizations/{org}/settings/billing/usage'
+      : 'GET /users/{username}/settings/billing/usage'
+    const params = isOrg ? { org: owner } : { username: owner }
+
+    const now = new Date()
+    const currentMonth = now.getMonth() + 1 // API uses 1-12, getMonth() returns 0-11
+    const currentYear = now.getFullYear()
+
+    const { data } = await this.octokit.request(endpoint, {
+      ...params,
+      year: currentYear,
+      month: currentMonth,
+      headers: {
+        'X-GitHub-Api-Version': '2022-11-28'
+      }
+    })
+
+    return data.usageItems?.filter((item) => item.product === 'actions') || []
+  }
+
+  /**
+   * Get the plan of an organization or user
+   * The plan is only visible to organization owners and to users themselves.
+   * @param {string} owner - Owner name (organization or user)
+   * @param {boolean} isOrg - Whether this is an organization
+   * @returns {Promise<string|null>} Plan name, or null if unknown
+   */
+  async getPlan(owner, isOrg) {
+    try {
+      const { data } = isOrg
+        ? await this.octokit.rest.orgs.get({ org: owner })
+        : await this.octokit.rest.users.getByUsername({ username: owner })
+      const plan = data.plan?.name?.toLowerCase()
+      if (plan && Object.hasOwn(PLAN_INCLUDED_MINUTES, plan)) {
+        return plan
+      }
+      console.log(
+        `Plan of ${owner} ${plan ? `(${plan}) is unknown` : 'is not visible to the token'}, included minutes estimated`
+      )
+    } catch (error) {
+      console.log(
+        `Plan of ${owner} unavailable (${error.status ?? error.message}), included minutes estimated`
+      )
+    }
+    return null
+  }
+
   /**
    * Determine if owner is an organization by checking if it has organization-specific data
    * @param {string} owner - Owner name
    * @returns {Promise<boolean>} True if owner is an organization
    */
   async isOrganization(owner) {
+    return this.cached('owner-type', owner, async () => {
+      try {
+        await this.octokit.rest.orgs.get({ org: owner })
+        return true
+      } catch (error) {
+        if (error.status === 404) {
+          return false
+        }
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Check that the token can write to a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<boolean>} True if the token has write access
+   */
+  async canWriteRepository(owner, repo) {
     try {
-      await this.octokit.rest.orgs.get({ org: owner })
-      return true
+      const { data } = await this.octokit.rest.repos.get({ owner, repo })
+      // Installation tokens do not report permissions, let writes decide
+      return data.permissions ? data.permissions.push === true : true
     } catch (error) {
       if (error.status === 404) {
         return false
@@ -186,6 +641,53 @@ export class GitHubAPI {
     }
   }
 
+  /**
+   * List the jobs waiting for a runner in the repository
+   * Reads the jobs of the latest queued workflow runs, then of in-progress
+   * ones, since jobs of a running workflow can still wait for a runner. At
+   * most 20 runs are read, a few at a time, so this costs up to 22 requests.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} Queued jobs with their ID, run ID and labels
+   */
+  async getQueuedJobs(owner, repo) {
+    const runs = []
+    for (const status of ['queued', 'in_progress']) {
+      if (runs.length >= QUEUED_JOB_RUN_LIMIT) {
+        break
+      }
+      const { data } = await this.octokit.rest.actions.listWorkflowRunsForRepo({
+        owner,
+        repo,
+        status,
+        per_page: QUEUED_JOB_RUN_LIMIT - runs.length
+      })
+      runs.push(...data.workflow_runs)
+    }
+
+    const jobs = []
+    for (let i = 0; i < runs.length; i += QUEUED_JOB_CONCURRENCY) {
+      const batch = await Promise.all(
+        runs.slice(i, i + QUEUED_JOB_CONCURRENCY).map(async (run) => {
+          const { data } =
+            await this.octokit.rest.actions.listJobsForWorkflowRun({
+              owner,
+              repo,
+              run_id: run.id,
+              filter: 'latest',
+              per_page: 100
+            })
+          return data.jobs
+        })
+      )
+      jobs.push(...batch.flat())
+    }
+
+    return jobs
+      .filter((job) => job.status === 'queued')
+      .map((job) => ({ id: job.id, run_id: job.run_id, labels: job.labels }))
+  }
+
   /**
    * Check if self-hosted runners are available (online and not busy)
    * @param {Array} runners - Array of runner objects
@@ -193,31 +695,37 @@ export class GitHubAPI {
    * @returns {boolean} True if available runners found
    */
   hasAvailableSelfHostedRunners(runners, tags) {
-    const requiredTags = tags.map((tag) => tag.trim().toLowerCase())
-
-    return runners.some((runner) => {
-      // Check if runner is online and not busy
-      if (runner.status !== 'online' || runner.busy) {
-        return false
-      }
+    return this.countAvailableSelfHostedRunners(runners, tags) > 0
+  }
 
-      // Check if runner has all required tags (case-insensitive)
-      const runnerLabels = runner.labels.map((label) =>
-        label.name.toLowerCase()
-      )
-      return requiredTags.every((tag) => runnerLabels.includes(tag))
-    })
+  /**
+   * Count the self-hosted runners that are online, idle and carry every tag
+   * @param {Array} runners - Array of runner objects
+   * @param {Array} tags - Required tags
+   * @returns {number} Number of available runners
+   */
+  countAvailableSelfHostedRunners(runners, tags) {
+    return countAvailableRunners(runners, tags)
   }
 
   /**
    * Check if GitHub-hosted runners have sufficient remaining minutes
+   * Minutes are counted in job minutes on the given labels, so a macOS job
+   * needs ten times the included minutes of a Linux job.
    * @param {Object} billingInfo - Billing information
    * @param {number} limit - Minimum remaining minutes threshold
+   * @param {Object} options - Minute accounting options
+   * @param {Array<string>} options.labels - GitHub-hosted runner labels
+   *   (default: Linux)
+   * @param {Object} options.multipliers - Multipliers by OS and label
    * @returns {boolean} True if sufficient minutes available
    */
-  hasSufficientGitHubHostedMinutes(billingInfo, limit) {
-    const remaining =
-      billingInfo.included_minutes - billingInfo.total_minutes_used
+  hasSufficientGitHubHostedMinutes(billingInfo, limit, options = {}) {
+    const remaining = getEffectiveRemainingMinutes(
+      billingInfo,
+      options.labels,
+      options.multipliers
+    )
     return remaining >= limit
   }
 }
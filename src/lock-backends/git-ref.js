@@ -0,0 +1,211 @@
+/**
+ * Lock backend storing each record as a Git ref under refs/<name>
+ * The ref points at a dedicated commit whose message carries the record data
+ * as JSON. Refs are created atomically, and updates are fast-forwards onto a
+ * child commit so they fail if the ref was replaced in the meantime.
+ */
+export class GitRefBackend {
+  constructor(octokit, owner, repo) {
+    this.octokit = octokit
+    this.owner = owner
+    this.repo = repo
+    this.lockTree = null
+    this.lastCommit = null
+  }
+
+  /**
+   * Create a record if no record with that name exists
+   * @param {string} name - Record name
+   * @param {Object} data - Record data
+   * @returns {Promise<string|null>} Record version, or null if it already exists
+   */
+  async create(name, data) {
+    const sha = await this.createCommit(data)
+
+    try {
+      // Creating a ref is atomic, it fails if the ref already exists
+      await this.octokit.rest.git.createRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `refs/${name}`,
+        sha
+      })
+    } catch (error) {
+      if (error.status === 422) {
+        return null
+      }
+      throw error
+    }
+
+    return sha
+  }
+
+  /**
+   * Read a record
+   * @param {string} name - Record name
+   * @returns {Promise<Object|null>} Record version and data, or null if missing
+   */
+  async read(name) {
+    let ref
+    try {
+      const response = await this.octokit.rest.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: name
+      })
+      ref = response.data
+    } catch (error) {
+      if (error.status === 404) {
+        return null
+      }
+      throw error
+    }
+
+    const { data: commit } = await this.octokit.rest.git.getCommit({
+      owner: this.owner,
+      repo: this.repo,
+      commit_sha: ref.object.sha
+    })
+
+    return {
+      version: ref.object.sha,
+      data: parseLockCommit(commit)
+    }
+  }
+
+  /**
+   * Replace a record's data if it is still at the given version
+   * @param {string} name - Record name
+   * @param {Object} data - New record data
+   * @param {string} version - Version the caller last read
+   * @returns {Promise<string|null>} New version, or null if the record changed
+   */
+  async update(name, data, version) {
+    const sha = await this.createCommit(data, [version])
+
+    try {
+      await this.octokit.rest.git.updateRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: name,
+        sha,
+        force: false
+      })
+    } catch (error) {
+      if (error.status === 422) {
+        return null
+      }
+      throw error
+    }
+
+    return sha
+  }
+
+  /**
+   * Delete a record
+   * @param {string} name - Record name
+   * @returns {Promise<boolean>} True if deleted, false if it did not exist
+   */
+  async delete(name) {
+    try {
+      await this.octokit.rest.git.deleteRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: name
+      })
+    } catch (error) {
+      if (error.status === 422 || error.status === 404) {
+        return false
+      }
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * List record names starting with a prefix
+   * @param {string} prefix - Name prefix
+   * @returns {Promise<Array<string>>} Record names
+   */
+  async list(prefix) {
+    const { data: refs } = await this.octokit.rest.git.listMatchingRefs({
+      owner: this.owner,
+      repo: this.repo,
+      ref: prefix
+    })
+
+    return refs.map((ref) => ref.ref.replace(/^refs\//, ''))
+  }
+
+  /**
+   * Create a commit carrying record data
+   * The last commit is reused when the same data is written again, so
+   * claiming several semaphore slots in one attempt creates a single commit.
+   * @param {Object} data - Record data
+   * @param {Array<string>} parents - Parent commits (default: none)
+   * @returns {Promise<string>} SHA of the commit
+   */
+  async createCommit(data, parents = []) {
+    const message = `Mutex lock\n\n${JSON.stringify(data, null, 2)}\n`
+    const cacheKey = JSON.stringify({ message, parents })
+
+    if (this.lastCommit?.key === cacheKey) {
+      return this.lastCommit.sha
+    }
+
+    if (!this.lockTree) {
+      const { data: tree } = await this.octokit.rest.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        tree: [
+          {
+            path: 'LOCK',
+            mode: '100644',
+            type: 'blob',
+            content: 'pick-runner-action lock\n'
+          }
+        ]
+      })
+      this.lockTree = tree.sha
+    }
+
+    const { data: commit } = await this.octokit.rest.git.createCommit({
+      owner: this.owner,
+      repo: this.repo,
+      message,
+      tree: this.lockTree,
+      parents
+    })
+
+    this.lastCommit = { key: cacheKey, sha: commit.sha }
+    return commit.sha
+  }
+}
+
+/**
+ * Extract record data from a lock commit
+ * Refs created before metadata was stored fall back to the commit date.
+ * @param {Object} commit - Git commit object
+ * @returns {Object} Record data
+ */
+export function parseLockCommit(commit) {
+  const message = commit.message || ''
+  const jsonStart = message.indexOf('{')
+
+  if (jsonStart !== -1) {
+    try {
+      const data = JSON.parse(message.slice(jsonStart))
+      if (typeof data.timestamp === 'number') {
+        return data
+      }
+    } catch {
+      // Not a lock commit, fall through
+    }
+  }
+
+  return {
+    id: null,
+    timestamp: new Date(commit.author.date).getTime()
+  }
+}
@@ -0,0 +1,40 @@
+import { GitRefBackend } from './git-ref.js'
+import { IssueBackend } from './issue.js'
+import { VariableBackend } from './variable.js'
+
+/**
+ * Storage backends for mutex locks
+ *
+ * A backend stores named records of lock data and must provide:
+ * - create(name, data): atomically create a record, resolving to its version
+ *   or to null if a record with that name already exists
+ * - read(name): resolve to { version, data } or null if missing
+ * - update(name, data, version): replace the data if the record is still at
+ *   the given version, resolving to the new version or null otherwise
+ * - delete(name): resolve to true if deleted, false if it did not exist
+ * - list(prefix): resolve to the names of all records starting with prefix
+ */
+export const LOCK_BACKENDS = {
+  'git-ref': GitRefBackend,
+  variable: VariableBackend,
+  issue: IssueBackend
+}
+
+/**
+ * Create a lock backend by name
+ * @param {string} name - Backend name ("git-ref", "variable" or "issue")
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Object} Lock backend
+ */
+export function createLockBackend(name, octokit, owner, repo) {
+  const Backend = LOCK_BACKENDS[name]
+  if (!Backend) {
+    throw new Error(`Unknown lock backend: ${name}`)
+  }
+
+  return new Backend(octokit, owner, repo)
+}
+
+export { GitRefBackend, IssueBackend, VariableBackend }
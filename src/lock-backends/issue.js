@@ -0,0 +1,254 @@
+// Label and title identifying the issue that holds the lock comments
+const ISSUE_LABEL = 'pick-runner-mutex'
+const ISSUE_TITLE = 'Mutex locks (pick-runner-action)'
+
+// Each lock comment starts with a marker naming the record it stores
+const MARKER_PATTERN = /^<!-- pick-runner-mutex: (.+?) -->/
+
+/**
+ * Lock backend storing each record as a comment on a dedicated issue
+ * Comments cannot be created conditionally, so creation is optimistic: the
+ * comment is posted, and if an older comment for the same record exists the
+ * new one loses and is deleted again. Comment IDs grow monotonically, so all
+ * writers agree on which comment is the oldest.
+ */
+export class IssueBackend {
+  constructor(octokit, owner, repo) {
+    this.octokit = octokit
+    this.owner = owner
+    this.repo = repo
+    this.issueNumber = null
+  }
+
+  /**
+   * Create a record if no record with that name exists
+   * @param {string} name - Record name
+   * @param {Object} data - Record data
+   * @returns {Promise<string|null>} Record version, or null if it already exists
+   */
+  async create(name, data) {
+    const issueNumber = await this.getIssueNumber()
+    const { data: comment } = await this.octokit.rest.issues.createComment({
+      owner: this.owner,
+      repo: this.repo,
+      issue_number: issueNumber,
+      body: IssueBackend.formatComment(name, data)
+    })
+
+    const winner = await this.findRecord(name)
+    if (winner && winner.id !== comment.id) {
+      await this.deleteComment(comment.id)
+      return null
+    }
+
+    return IssueBackend.commentVersion(comment)
+  }
+
+  /**
+   * Read a record
+   * @param {string} name - Record name
+   * @returns {Promise<Object|null>} Record version and data, or null if missing
+   */
+  async read(name) {
+    const record = await this.findRecord(name)
+    return record ? { version: record.version, data: record.data } : null
+  }
+
+  /**
+   * Replace a record's data if it is still at the given version
+   * @param {string} name - Record name
+   * @param {Object} data - New record data
+   * @param {string} version - Version the caller last read
+   * @returns {Promise<string|null>} New version, or null if the record changed
+   */
+  async update(name, data, version) {
+    const record = await this.findRecord(name)
+    if (!record || record.version !== version) {
+      return null
+    }
+
+    const { data: comment } = await this.octokit.rest.issues.updateComment({
+      owner: this.owner,
+      repo: this.repo,
+      comment_id: record.id,
+      body: IssueBackend.formatComment(name, data)
+    })
+
+    return IssueBackend.commentVersion(comment)
+  }
+
+  /**
+   * Delete a record
+   * @param {string} name - Record name
+   * @returns {Promise<boolean>} True if deleted, false if it did not exist
+   */
+  async delete(name) {
+    const record = await this.findRecord(name)
+    if (!record) {
+      return false
+    }
+
+    return this.deleteComment(record.id)
+  }
+
+  /**
+   * List record names starting with a prefix
+   * @param {string} prefix - Name prefix
+   * @returns {Promise<Array<string>>} Record names
+   */
+  async list(prefix) {
+    const records = await this.listRecords()
+    const names = records
+      .map((record) => record.name)
+      .filter((name) => name.startsWith(prefix))
+
+    return [...new Set(names)]
+  }
+
+  /**
+   * Find the lock issue, creating it on first use
+   * If two runs create the issue at the same time, both settle on the oldest.
+   * @returns {Promise<number>} Issue number
+   */
+  async getIssueNumber() {
+    if (this.issueNumber) {
+      return this.issueNumber
+    }
+
+    const findIssue = async () => {
+      const issues = await this.octokit.paginate(
+        this.octokit.rest.issues.listForRepo,
+        {
+          owner: this.owner,
+          repo: this.repo,
+          labels: ISSUE_LABEL,
+          state: 'open',
+          per_page: 100
+        }
+      )
+
+      return issues
+        .filter((issue) => !issue.pull_request && issue.title === ISSUE_TITLE)
+        .map((issue) => issue.number)
+        .sort((a, b) => a - b)[0]
+    }
+
+    let issueNumber = await findIssue()
+    if (!issueNumber) {
+      await this.octokit.rest.issues.create({
+        owner: this.owner,
+        repo: this.repo,
+        title: ISSUE_TITLE,
+        labels: [ISSUE_LABEL],
+        body: 'Mutex locks taken by pick-runner-action. Each comment is a lock; do not edit them by hand.'
+      })
+      issueNumber = await findIssue()
+    }
+
+    this.issueNumber = issueNumber
+    return issueNumber
+  }
+
+  /**
+   * List all lock records stored on the issue
+   * @returns {Promise<Array<Object>>} Records with comment ID, name, version and data
+   */
+  async listRecords() {
+    const issueNumber = await this.getIssueNumber()
+    const comments = await this.octokit.paginate(
+      this.octokit.rest.issues.listComments,
+      {
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        per_page: 100
+      }
+    )
+
+    return comments
+      .map((comment) => IssueBackend.parseComment(comment))
+      .filter((record) => record !== null)
+  }
+
+  /**
+   * Find the authoritative (oldest) comment for a record
+   * @param {string} name - Record name
+   * @returns {Promise<Object|null>} Record, or null if missing
+   */
+  async findRecord(name) {
+    const records = await this.listRecords()
+    return (
+      records
+        .filter((record) => record.name === name)
+        .sort((a, b) => a.id - b.id)[0] ?? null
+    )
+  }
+
+  /**
+   * Delete a comment
+   * @param {number} commentId - Comment ID
+   * @returns {Promise<boolean>} True if deleted, false if it did not exist
+   */
+  async deleteComment(commentId) {
+    try {
+      await this.octokit.rest.issues.deleteComment({
+        owner: this.owner,
+        repo: this.repo,
+        comment_id: commentId
+      })
+    } catch (error) {
+      if (error.status === 404) {
+        return false
+      }
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * Format a lock comment body
+   * @param {string} name - Record name
+   * @param {Object} data - Record data
+   * @returns {string} Comment body
+   */
+  static formatComment(name, data) {
+    return `<!-- pick-runner-mutex: ${name} -->\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\`\n`
+  }
+
+  /**
+   * Parse a lock comment
+   * @param {Object} comment - Issue comment
+   * @returns {Object|null} Record, or null if the comment is not a lock
+   */
+  static parseComment(comment) {
+    const match = MARKER_PATTERN.exec(comment.body || '')
+    if (!match) {
+      return null
+    }
+
+    const body = comment.body.slice(match[0].length)
+    const jsonStart = body.indexOf('{')
+    const jsonEnd = body.lastIndexOf('}')
+
+    try {
+      return {
+        id: comment.id,
+        name: match[1],
+        version: IssueBackend.commentVersion(comment),
+        data: JSON.parse(body.slice(jsonStart, jsonEnd + 1))
+      }
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Derive a record version from a comment
+   * @param {Object} comment - Issue comment
+   * @returns {string} Version string
+   */
+  static commentVersion(comment) {
+    return `${comment.id}:${comment.updated_at}`
+  }
+}
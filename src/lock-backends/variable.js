@@ -0,0 +1,161 @@
+import { createHash, randomUUID } from 'node:crypto'
+
+// Prefix shared by all variables managed by this backend
+const VARIABLE_PREFIX = 'PICK_RUNNER_'
+
+/**
+ * Lock backend storing each record as a repository Actions variable
+ * Creating a variable fails if it already exists, which makes creation
+ * atomic. The API has no conditional update, so updates are optimistic: the
+ * stored version is checked before writing and read back afterwards.
+ */
+export class VariableBackend {
+  constructor(octokit, owner, repo) {
+    this.octokit = octokit
+    this.owner = owner
+    this.repo = repo
+  }
+
+  /**
+   * Create a record if no record with that name exists
+   * @param {string} name - Record name
+   * @param {Object} data - Record data
+   * @returns {Promise<string|null>} Record version, or null if it already exists
+   */
+  async create(name, data) {
+    const version = randomUUID()
+
+    try {
+      await this.octokit.rest.actions.createRepoVariable({
+        owner: this.owner,
+        repo: this.repo,
+        name: VariableBackend.variableName(name),
+        value: JSON.stringify({ name, version, data })
+      })
+    } catch (error) {
+      if (error.status === 409) {
+        return null
+      }
+      throw error
+    }
+
+    return version
+  }
+
+  /**
+   * Read a record
+   * @param {string} name - Record name
+   * @returns {Promise<Object|null>} Record version and data, or null if missing
+   */
+  async read(name) {
+    let variable
+    try {
+      const response = await this.octokit.rest.actions.getRepoVariable({
+        owner: this.owner,
+        repo: this.repo,
+        name: VariableBackend.variableName(name)
+      })
+      variable = response.data
+    } catch (error) {
+      if (error.status === 404) {
+        return null
+      }
+      throw error
+    }
+
+    const record = VariableBackend.parseValue(variable.value)
+    return record ? { version: record.version, data: record.data } : null
+  }
+
+  /**
+   * Replace a record's data if it is still at the given version
+   * @param {string} name - Record name
+   * @param {Object} data - New record data
+   * @param {string} version - Version the caller last read
+   * @returns {Promise<string|null>} New version, or null if the record changed
+   */
+  async update(name, data, version) {
+    const current = await this.read(name)
+    if (!current || current.version !== version) {
+      return null
+    }
+
+    const newVersion = randomUUID()
+    await this.octokit.rest.actions.updateRepoVariable({
+      owner: this.owner,
+      repo: this.repo,
+      name: VariableBackend.variableName(name),
+      value: JSON.stringify({ name, version: newVersion, data })
+    })
+
+    // Another writer may have raced us between the check and the write
+    const written = await this.read(name)
+    return written?.version === newVersion ? newVersion : null
+  }
+
+  /**
+   * Delete a record
+   * @param {string} name - Record name
+   * @returns {Promise<boolean>} True if deleted, false if it did not exist
+   */
+  async delete(name) {
+    try {
+      await this.octokit.rest.actions.deleteRepoVariable({
+        owner: this.owner,
+        repo: this.repo,
+        name: VariableBackend.variableName(name)
+      })
+    } catch (error) {
+      if (error.status === 404) {
+        return false
+      }
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * List record names starting with a prefix
+   * @param {string} prefix - Name prefix
+   * @returns {Promise<Array<string>>} Record names
+   */
+  async list(prefix) {
+    const variables = await this.octokit.paginate(
+      this.octokit.rest.actions.listRepoVariables,
+      { owner: this.owner, repo: this.repo, per_page: 30 }
+    )
+
+    return variables
+      .filter((variable) => variable.name.startsWith(VARIABLE_PREFIX))
+      .map((variable) => VariableBackend.parseValue(variable.value)?.name)
+      .filter((name) => name && name.startsWith(prefix))
+  }
+
+  /**
+   * Map a record name to a valid variable name
+   * Variable names only allow letters, digits and underscores, so the
+   * readable part is followed by a hash of the exact record name.
+   * @param {string} name - Record name
+   * @returns {string} Variable name
+   */
+  static variableName(name) {
+    const readable = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')
+    const hash = createHash('sha256').update(name).digest('hex').slice(0, 8)
+    return `${VARIABLE_PREFIX}${readable}_${hash.toUpperCase()}`
+  }
+
+  /**
+   * Parse a stored variable value
+   * @param {string} value - Variable value
+   * @returns {Object|null} Stored name, version and data, or null if invalid
+   */
+  static parseValue(value) {
+    try {
+      const record = JSON.parse(value)
+      return record && record.name && record.data ? record : null
+    } catch {
+      return null
+    }
+  }
+}
@@ -1,188 +1,99 @@
 import * as core from '@actions/core'
+import { join, resolve } from 'node:path'
 import { GitHubAPI } from './github-api.js'
+import { BillingCache } from './billing-cache.js'
+import { getAppInstallationToken } from './app-auth.js'
 import { GitMutex } from './git-mutex.js'
+import { RunnerApiError } from './errors.js'
+import { parseDuration } from './duration.js'
+import { parseMinuteMultipliers } from './minutes.js'
+import { LOCK_BACKENDS } from './lock-backends/index.js'
+import {
+  defaultRunnerPools,
+  parseLabels,
+  parseRunnerPools
+} from './runner-pools.js'
+import { formatMinutes, formatUsd, selectRunner } from './runner-selection.js'
+import { forceUnlockMutexes, listMutexLocks } from './mutex-status.js'
+import {
+  DEFAULT_POLICY_FILE,
+  loadPolicy,
+  resolvePolicyInputs
+} from './policy.js'
+
+// Ways of handling a runner level that cannot be listed
+const ON_API_ERROR_POLICIES = [
+  'fail',
+  'warn',
+  'assume-busy',
+  'assume-available'
+]
+
+// Inputs of the policy file profile, used where the workflow sets none
+let policyInputs = {}
 
 /**
- * The main function for the action.
+ * Read an input, falling back to the policy file.
  *
- * @returns {Promise<void>} Resolves when the action is complete.
+ * @param {string} name - Input name.
+ * @returns {string} Input value, or an empty string when unset.
  */
-export async function run() {
-  try {
-    // Get inputs
-    const selfHostedTagsInput = core.getInput('self-hosted-tags')
-    const selfHostedTags = selfHostedTagsInput
-      .split(',')
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0)
-
-    const githubHostedTagsInput = core.getInput('github-hosted-tags')
-    const githubHostedTags = githubHostedTagsInput
-      .split(',')
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0)
-
-    const githubHostedLimit = parseInt(core.getInput('github-hosted-limit'), 10)
-    const githubToken = core.getInput('github-token')
-    const mutexKey = core.getInput('mutex-key') // Optional mutex key
-    const owner = process.env.GITHUB_REPOSITORY_OWNER
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1]
-
-    core.info(`Checking runners for owner: ${owner}`)
-    core.info(`Repository: ${repo}`)
-    core.info(`Self-hosted tags: ${selfHostedTags.join(', ')}`)
-    core.info(`GitHub-hosted tags: ${githubHostedTags.join(', ')}`)
-    core.info(`GitHub-hosted limit: ${githubHostedLimit} minutes`)
-
-    // Initialize GitHub API client
-    const githubApi = new GitHubAPI(githubToken)
-
-    // Determine if this is an organization or user
-    core.info('Determining repository type...')
-    const isOrg = await githubApi.isOrganization(owner)
-    core.info(`Repository type: ${isOrg ? 'organization' : 'user'}`)
-
-    // Get self-hosted runners and billing info
-    core.info('Fetching runner information...')
-    const [runners, billingInfo] = await Promise.all([
-      githubApi.getSelfHostedRunners(owner, repo, isOrg),
-      githubApi.getBillingInfo(owner, isOrg)
-    ])
+function getInput(name) {
+  return core.getInput(name) || policyInputs[name] || ''
+}
 
-    core.info(`Found ${runners.length} self-hosted runners`)
-    if (runners.length === 0) {
-      core.info(
-        'ℹ️ No self-hosted runners are configured for this repository/organization'
-      )
-      core.info('Will use GitHub-hosted runners based on usage limits')
-    }
+/**
+ * Load the inputs of the selected profile from the policy file.
+ *
+ * @returns {Promise<Object>} Input strings by input name.
+ */
+async function loadPolicyInputs() {
+  const configFile = core.getInput('config-file') || DEFAULT_POLICY_FILE
+  const profile = core.getInput('profile')
+  const policy = await loadPolicy(
+    resolve(process.env.GITHUB_WORKSPACE || '', configFile),
+    configFile
+  )
+  const inputs = resolvePolicyInputs(policy, profile, configFile)
+  if (policy) {
     core.info(
-      `GitHub Actions billing - Used: ${billingInfo.total_minutes_used}/${billingInfo.included_minutes} minutes`
-    )
-
-    // Check if self-hosted runners are available
-    const selfHostedAvailable = githubApi.hasAvailableSelfHostedRunners(
-      runners,
-      selfHostedTags
+      `Policy file: ${configFile}${profile ? ` (profile ${profile})` : ''}`
     )
+  }
+  return inputs
+}
 
-    if (selfHostedAvailable) {
-      core.info(
-        `Self-hosted runners are available and not busy: ${selfHostedTags.join(
-          ', '
-        )}`
-      )
-
-      // If mutex key is provided, acquire lock for exclusive access
-      if (mutexKey) {
-        core.info(`Acquiring mutex lock: ${mutexKey}`)
-        const mutex = new GitMutex(githubApi.octokit, owner, repo, mutexKey)
-
-        try {
-          const lockAcquired = await mutex.acquireLock()
-
-          if (!lockAcquired) {
-            core.info(
-              'Failed to acquire mutex lock, checking GitHub-hosted runners instead'
-            )
-          } else {
-            // Double-check runners are still available after acquiring lock
-            const latestRunners = await githubApi.getSelfHostedRunners(
-              owner,
-              repo,
-              isOrg
-            )
-            const stillAvailable = githubApi.hasAvailableSelfHostedRunners(
-              latestRunners,
-              selfHostedTags
-            )
-
-            if (stillAvailable) {
-              const selectedRunner =
-                selfHostedTags.length === 1
-                  ? JSON.stringify(selfHostedTags[0])
-                  : JSON.stringify(selfHostedTags)
-              core.setOutput('selected-runner', selectedRunner)
-              core.setOutput('runner-type', 'self-hosted')
-              core.setOutput(
-                'reason',
-                `Self-hosted runners available with mutex protection (${mutexKey})`
-              )
-
-              // Note: mutex will be automatically released by cleanup handlers
-              return
-            } else {
-              core.info(
-                'Self-hosted runners became unavailable while waiting for lock'
-              )
-              await mutex.releaseLock()
-            }
-          }
-        } catch (error) {
-          core.warning(`Mutex error: ${error.message}`)
-          core.info('Falling back to GitHub-hosted runners')
-        }
-      } else {
-        // No mutex requested, use self-hosted runners directly
-        const selectedRunner =
-          selfHostedTags.length === 1
-            ? JSON.stringify(selfHostedTags[0])
-            : JSON.stringify(selfHostedTags)
-        core.setOutput('selected-runner', selectedRunner)
-        core.setOutput('runner-type', 'self-hosted')
-        core.setOutput('reason', 'Self-hosted runners are available')
-        return
-      }
-    }
-
-    core.info('Self-hosted runners are not available or busy')
-
-    // Check GitHub-hosted runner usage
-    const githubHostedSufficient = githubApi.hasSufficientGitHubHostedMinutes(
-      billingInfo,
-      githubHostedLimit
-    )
+/**
+ * The main function for the action.
+ *
+ * @returns {Promise<void>} Resolves when the action is complete.
+ */
+export async function run() {
+  try {
+    policyInputs = await loadPolicyInputs()
+    const action = getInput('action') || 'acquire'
 
-    if (githubHostedSufficient) {
-      const remaining =
-        billingInfo.included_minutes - billingInfo.total_minutes_used
-      core.info(
-        `GitHub-hosted runners have sufficient remaining minutes: ${remaining} >= ${githubHostedLimit}`
-      )
-      const selectedRunner =
-        githubHostedTags.length === 1
-          ? JSON.stringify(githubHostedTags[0])
-          : JSON.stringify(githubHostedTags)
-      core.setOutput('selected-runner', selectedRunner)
-      core.setOutput('runner-type', 'github-hosted')
-      core.setOutput(
-        'reason',
-        `GitHub-hosted runners have sufficient remaining minutes (${remaining} >= ${githubHostedLimit})`
-      )
-      return
+    switch (action) {
+      case 'acquire':
+        await pickRunner()
+        break
+      case 'release':
+        await scheduleMutexRelease()
+        break
+      case 'heartbeat':
+        await renewMutexLease()
+        break
+      case 'mutex-status':
+        await reportMutexStatus()
+        break
+      case 'force-unlock':
+        await forceUnlock()
+        break
+      default:
+        throw new Error(
+          `Invalid action: ${action}. Expected "acquire", "release", "heartbeat", "mutex-status" or "force-unlock"`
+        )
     }
-
-    // Fallback to self-hosted runners even if busy
-    const remaining =
-      billingInfo.included_minutes - billingInfo.total_minutes_used
-    core.info(
-      `GitHub-hosted runners do not have sufficient remaining minutes: ${remaining} < ${githubHostedLimit}`
-    )
-    core.info(
-      `Falling back to self-hosted runners even if busy ${selfHostedTags.join(
-        ', '
-      )}`
-    )
-    const selectedRunner =
-      selfHostedTags.length === 1
-        ? JSON.stringify(selfHostedTags[0])
-        : JSON.stringify(selfHostedTags)
-    core.setOutput('selected-runner', selectedRunner)
-    core.setOutput('runner-type', 'self-hosted')
-    core.setOutput(
-      'reason',
-      `GitHub-hosted runners insufficient (${remaining} < ${githubHostedLimit}), using self-hosted as fallback`
-    )
   } catch (error) {
     // Fail the workflow run if an error occurs
     if (error instanceof Error) {
@@ -203,15 +114,15 @@ export async function run() {
         )
       ) {
         errorMessage +=
-          '\n\n💡 This usually means no self-hosted runners are configured for this repository.'
+          '\n\n💡 This usually means the token cannot read the self-hosted runners of this repository or organization.'
         errorMessage +=
-          '\n   Either configure self-hosted runners or this action will use GitHub-hosted runners only.'
+          '\n   Grant it the "Self-hosted runners" read permission, or set on-api-error to "warn" to continue without them.'
       } else if (
         error.message.includes('Bad credentials') ||
         error.message.includes('401')
       ) {
         errorMessage +=
-          '\n\n💡 Authentication failed. Please check that your github-token is valid.'
+          '\n\n💡 Authentication failed. Please check that your github-token, runners-token, billing-token and mutex-github-token (or app-id and app-private-key) are valid.'
       } else if (
         error.message.includes('404') ||
         error.message.includes('Not Found')
@@ -226,3 +137,766 @@ export async function run() {
     }
   }
 }
+
+/**
+ * The post step of the action. Releases a mutex lock registered by the
+ * release action once the job has finished.
+ *
+ * @returns {Promise<void>} Resolves when the post step is complete.
+ */
+export async function post() {
+  const mutexToken = core.getState('mutex-release-token')
+  if (!mutexToken) {
+    return
+  }
+
+  try {
+    policyInputs = await loadPolicyInputs()
+    const githubApi = await createGitHubAPI(
+      GitMutex.fromToken(null, mutexToken).owner,
+      {},
+      'mutex-github-token'
+    )
+    const mutex = GitMutex.fromToken(githubApi.octokit, mutexToken)
+    core.info(`Releasing mutex lock: ${mutex.lockKey}`)
+    await mutex.releaseLock()
+  } catch (error) {
+    core.warning(`Failed to release mutex lock: ${error.message}`)
+  }
+}
+
+/**
+ * Register a mutex lock acquired by an earlier job so that it is released
+ * by the post step when the current job completes.
+ *
+ * @returns {Promise<void>} Resolves when the release has been scheduled.
+ */
+async function scheduleMutexRelease() {
+  const mutexToken = getInput('mutex-token')
+  if (!mutexToken) {
+    core.info('No mutex token provided, nothing to release')
+    return
+  }
+
+  // Validate the token now so a bad value fails the step instead of the post step
+  const mutex = GitMutex.fromToken(null, mutexToken)
+  core.saveState('mutex-release-token', mutexToken)
+  core.info(
+    `Mutex lock ${mutex.lockKey} will be released when this job completes`
+  )
+}
+
+/**
+ * Renew the lease on a mutex lock acquired by an earlier job so that waiting
+ * workflows do not treat it as stale.
+ *
+ * @returns {Promise<void>} Resolves when the lease has been renewed.
+ */
+async function renewMutexLease() {
+  const mutexToken = getInput('mutex-token')
+  if (!mutexToken) {
+    core.info('No mutex token provided, nothing to renew')
+    return
+  }
+
+  const githubApi = await createGitHubAPI(
+    GitMutex.fromToken(null, mutexToken).owner,
+    {},
+    'mutex-github-token'
+  )
+  const mutex = GitMutex.fromToken(githubApi.octokit, mutexToken)
+
+  if (!(await mutex.renewLock())) {
+    throw new Error(
+      `Mutex lock ${mutex.lockKey} is no longer held by this workflow`
+    )
+  }
+  core.info(`Mutex lock ${mutex.lockKey} lease renewed`)
+}
+
+/**
+ * List the held mutex locks with their holder and whether its run is still
+ * in progress.
+ *
+ * @returns {Promise<void>} Resolves when the locks have been reported.
+ */
+async function reportMutexStatus() {
+  const { octokit, owner, repo, options } = await getMutexAdminContext()
+  const locks = await listMutexLocks(octokit, owner, repo, options)
+
+  core.info(`Found ${locks.length} mutex locks in ${owner}/${repo}`)
+  locks.forEach((lock) => core.info(describeLock(lock)))
+  core.setOutput('mutex-locks', formatLocks(locks))
+}
+
+/**
+ * Remove the mutex locks whose holding run is completed or cancelled.
+ *
+ * @returns {Promise<void>} Resolves when the locks have been removed.
+ */
+async function forceUnlock() {
+  const { octokit, owner, repo, options } = await getMutexAdminContext()
+  const removed = await forceUnlockMutexes(octokit, owner, repo, options)
+
+  removed.forEach((lock) => core.info(`Removed ${describeLock(lock)}`))
+  core.info(`Removed ${removed.length} mutex locks from ${owner}/${repo}`)
+  core.setOutput('mutex-locks', formatLocks(removed))
+}
+
+/**
+ * Read the inputs shared by the mutex maintenance actions.
+ *
+ * @returns {Promise<Object>} Octokit instance, mutex repository and listing
+ *   options.
+ */
+async function getMutexAdminContext() {
+  const [owner, repo] = getMutexRepository(
+    process.env.GITHUB_REPOSITORY_OWNER,
+    process.env.GITHUB_REPOSITORY?.split('/')[1]
+  )
+  const githubApi = await createGitHubAPI(owner, {}, 'mutex-github-token')
+
+  return {
+    octokit: githubApi.octokit,
+    owner,
+    repo,
+    options: {
+      backend: getMutexOptions().backend,
+      key: getInput('mutex-key')
+    }
+  }
+}
+
+/**
+ * Format a lock for the logs.
+ *
+ * @param {Object} lock - Lock from listMutexLocks()
+ * @returns {string} Lock name, holder, age and run state.
+ */
+function describeLock(lock) {
+  const runState = lock.run
+    ? lock.run.status === 'completed'
+      ? `run ${lock.run.conclusion ?? 'completed'}`
+      : `run ${lock.run.status}`
+    : 'run status unknown'
+
+  return `${lock.name}: held by ${GitMutex.describeHolder(lock.data)} for ${Math.round(
+    lock.age / 1000
+  )}s (${runState})`
+}
+
+/**
+ * Serialize locks for the mutex-locks output.
+ *
+ * @param {Array<Object>} locks - Locks from listMutexLocks()
+ * @returns {string} JSON array of lock summaries.
+ */
+function formatLocks(locks) {
+  return JSON.stringify(
+    locks.map((lock) => ({
+      name: lock.name,
+      holder: lock.data,
+      age: Math.round(lock.age / 1000),
+      runStatus: lock.run?.status ?? null,
+      runConclusion: lock.run?.conclusion ?? null,
+      inProgress: lock.run ? lock.run.status !== 'completed' : null
+    }))
+  )
+}
+
+/**
+ * Read and validate the mutex timing inputs.
+ *
+ * @returns {Object} Timeout, retry interval and TTL in milliseconds, the
+ *   retry backoff strategy, the number of semaphore slots, whether waiters
+ *   are queued and the lock backend.
+ */
+function getMutexOptions() {
+  const durationInput = (name, defaultValue) => {
+    const value = parseDuration(getInput(name) || defaultValue, name)
+    if (value <= 0) {
+      throw new Error(`Invalid ${name}: must be greater than zero`)
+    }
+    return value
+  }
+
+  const backoff = getInput('mutex-backoff') || 'fixed'
+  if (!['fixed', 'exponential'].includes(backoff)) {
+    throw new Error(
+      `Invalid mutex-backoff: ${backoff}. Expected "fixed" or "exponential"`
+    )
+  }
+
+  const slots = Number(getInput('mutex-slots') || '1')
+  if (!Number.isInteger(slots) || slots < 1) {
+    throw new Error(
+      `Invalid mutex-slots: ${getInput('mutex-slots')}. Expected a positive integer`
+    )
+  }
+
+  const backend = getInput('mutex-backend') || 'git-ref'
+  if (!Object.hasOwn(LOCK_BACKENDS, backend)) {
+    throw new Error(
+      `Invalid mutex-backend: ${backend}. Expected "git-ref", "variable" or "issue"`
+    )
+  }
+
+  return {
+    timeoutMs: durationInput('mutex-timeout', '5m'),
+    retryIntervalMs: durationInput('mutex-retry-interval', '3s'),
+    ttlMs: durationInput('mutex-ttl', '10m'),
+    backoff,
+    slots,
+    queue: getInput('mutex-queue') === 'true',
+    backend
+  }
+}
+
+/**
+ * Create a GitHub API client. A token given in tokenInput is used as is;
+ * otherwise the client is authenticated with github-token or, when app-id is
+ * set, with an installation token of the GitHub App.
+ *
+ * @param {string} owner - Account the GitHub App is installed on.
+ * @param {Object} options - Additional GitHubAPI options.
+ * @param {string} tokenInput - Input of a token dedicated to this client,
+ *   e.g. "mutex-github-token".
+ * @returns {Promise<GitHubAPI>} API client.
+ */
+async function createGitHubAPI(owner, options = {}, tokenInput = null) {
+  const apiOptions = { ...getApiOptions(), ...options }
+  const dedicatedToken = tokenInput ? getInput(tokenInput) : ''
+  if (dedicatedToken) {
+    return new GitHubAPI(dedicatedToken, apiOptions)
+  }
+
+  const appId = getInput('app-id')
+  if (!appId) {
+    return new GitHubAPI(getInput('github-token'), apiOptions)
+  }
+
+  const privateKey = getInput('app-private-key')
+  if (!privateKey) {
+    throw new Error('app-private-key is required when app-id is set')
+  }
+
+  const { token } = await getAppInstallationToken({
+    appId,
+    privateKey,
+    installationId: getInput('app-installation-id'),
+    owner,
+    apiUrl: apiOptions.apiUrl
+  })
+  core.setSecret(token)
+  return new GitHubAPI(token, apiOptions)
+}
+
+/**
+ * Read the GitHub API connection inputs.
+ *
+ * @returns {Object} Number of retries per request, base backoff delay in
+ *   milliseconds and REST API base URL.
+ */
+function getApiOptions() {
+  const retriesInput = getInput('api-retries') || '3'
+  const retries = Number(retriesInput)
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(
+      `Invalid api-retries: ${retriesInput}. Expected a non-negative integer`
+    )
+  }
+
+  const retryDelayMs = parseDuration(
+    getInput('api-retry-delay') || '1s',
+    'api-retry-delay'
+  )
+  if (retryDelayMs <= 0) {
+    throw new Error('Invalid api-retry-delay: must be greater than zero')
+  }
+
+  return {
+    retries,
+    retryDelayMs,
+    apiUrl: getInput('api-url') || process.env.GITHUB_API_URL || undefined
+  }
+}
+
+/**
+ * Read the included-minutes override.
+ *
+ * @returns {number|null} Included Actions minutes per month, or null to use
+ *   billing and plan data.
+ */
+function getIncludedMinutes() {
+  const input = getInput('included-minutes')
+  if (!input) {
+    return null
+  }
+
+  const minutes = Number(input)
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    throw new Error(
+      `Invalid included-minutes: ${input}. Expected a non-negative integer`
+    )
+  }
+  return minutes
+}
+
+/**
+ * Create the billing cache configured by billing-cache-ttl.
+ *
+ * @returns {BillingCache|null} Cache stored under RUNNER_TEMP, or null when
+ *   caching is disabled.
+ */
+function getBillingCache() {
+  const input = getInput('billing-cache-ttl')
+  if (!input) {
+    return null
+  }
+
+  const ttlMs = parseDuration(input, 'billing-cache-ttl')
+  if (ttlMs === 0) {
+    return null
+  }
+  if (!process.env.RUNNER_TEMP) {
+    core.info('RUNNER_TEMP is not set, billing cache disabled')
+    return null
+  }
+
+  return new BillingCache(
+    join(process.env.RUNNER_TEMP, 'pick-runner', 'billing-cache.json'),
+    ttlMs
+  )
+}
+
+/**
+ * Read the monthly GitHub-hosted spending budget.
+ *
+ * @returns {number|null} Budget in USD, or null when not set.
+ */
+function getGitHubHostedBudget() {
+  const input = getInput('github-hosted-budget')
+  if (!input) {
+    return null
+  }
+
+  const budget = Number(input.replace(/^\$/, ''))
+  if (!Number.isFinite(budget) || budget < 0) {
+    throw new Error(
+      `Invalid github-hosted-budget: ${input}. Expected an amount in USD, e.g. "50"`
+    )
+  }
+  return budget
+}
+
+/**
+ * Read the number of queued jobs allowed ahead of this one on self-hosted
+ * runners.
+ *
+ * @returns {number|null} Queue depth, or null to ignore queued jobs.
+ */
+function getMaxQueueDepth() {
+  const input = getInput('max-queue-depth')
+  if (!input) {
+    return null
+  }
+
+  const depth = Number(input)
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new Error(
+      `Invalid max-queue-depth: ${input}. Expected a non-negative integer`
+    )
+  }
+  return depth
+}
+
+/**
+ * List the jobs waiting for a runner, continuing without them on errors.
+ *
+ * @param {GitHubAPI} githubApi - API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Array|null>} Queued jobs, or null if they could not be
+ *   listed.
+ */
+async function listQueuedJobs(githubApi, owner, repo) {
+  try {
+    const jobs = await githubApi.getQueuedJobs(owner, repo)
+    core.info(`Found ${jobs.length} queued jobs`)
+    return jobs
+  } catch (error) {
+    core.warning(
+      `Queued jobs could not be listed, max-queue-depth not applied: ${error.message}`
+    )
+    return null
+  }
+}
+
+/**
+ * Read the maximum number of pages read per runner listing.
+ *
+ * @returns {number} Page limit.
+ */
+function getRunnerPageLimit() {
+  const input = getInput('runner-page-limit') || '10'
+  const limit = Number(input)
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(
+      `Invalid runner-page-limit: ${input}. Expected a positive integer`
+    )
+  }
+  return limit
+}
+
+/**
+ * Read how runner listing failures are handled.
+ *
+ * @returns {string} "fail", "warn", "assume-busy" or "assume-available".
+ */
+function getOnApiError() {
+  const onApiError = getInput('on-api-error') || 'fail'
+  if (!ON_API_ERROR_POLICIES.includes(onApiError)) {
+    throw new Error(
+      `Invalid on-api-error: ${onApiError}. Expected "fail", "warn", "assume-busy" or "assume-available"`
+    )
+  }
+  return onApiError
+}
+
+/**
+ * List the self-hosted runners, applying the on-api-error policy when a
+ * runner level cannot be listed.
+ *
+ * @param {GitHubAPI} githubApi - API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {boolean} isOrg - Whether the owner is an organization
+ * @param {string} onApiError - Failure policy from getOnApiError()
+ * @returns {Promise<Object>} Listed runners, an availability override (null
+ *   unless the policy assumes one) and the failed levels (null if none).
+ */
+async function listSelfHostedRunners(
+  githubApi,
+  owner,
+  repo,
+  isOrg,
+  onApiError
+) {
+  try {
+    return {
+      runners: await githubApi.getSelfHostedRunners(owner, repo, isOrg),
+      available: null,
+      failedLevels: null
+    }
+  } catch (error) {
+    if (!(error instanceof RunnerApiError) || onApiError === 'fail') {
+      throw error
+    }
+
+    core.warning(error.message)
+    return {
+      runners: error.runners,
+      available:
+        onApiError === 'warn' ? null : onApiError === 'assume-available',
+      failedLevels: error.describeLevels()
+    }
+  }
+}
+
+/**
+ * Read the repository that holds the mutex locks.
+ *
+ * @param {string} owner - Owner of the current repository
+ * @param {string} repo - Name of the current repository
+ * @returns {Array<string>} Owner and name of the mutex repository, the
+ *   current repository unless mutex-repository is set.
+ */
+function getMutexRepository(owner, repo) {
+  const mutexRepository = getInput('mutex-repository')
+  if (!mutexRepository) {
+    return [owner, repo]
+  }
+
+  const parts = mutexRepository.split('/')
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new Error(
+      `Invalid mutex-repository: ${mutexRepository}. Expected "owner/repo"`
+    )
+  }
+  return parts
+}
+
+/**
+ * Select a runner and, if requested, acquire the mutex lock for it.
+ *
+ * @returns {Promise<void>} Resolves when the outputs have been set.
+ */
+async function pickRunner() {
+  // Get inputs
+  const selfHostedTags = parseLabels(getInput('self-hosted-tags'))
+  const githubHostedTags = parseLabels(getInput('github-hosted-tags'))
+  const runnerPoolsInput = getInput('runner-pools')
+  if (!runnerPoolsInput) {
+    // Empty labels would match any idle runner and select "[]"
+    const missing = [
+      ['self-hosted-tags', selfHostedTags],
+      ['github-hosted-tags', githubHostedTags]
+    ]
+      .filter(([, labels]) => labels.length === 0)
+      .map(([name]) => name)
+    if (missing.length > 0) {
+      throw new Error(
+        `${missing.join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required when runner-pools is not set`
+      )
+    }
+  }
+  const pools = runnerPoolsInput
+    ? parseRunnerPools(runnerPoolsInput)
+    : defaultRunnerPools(selfHostedTags, githubHostedTags)
+
+  const githubHostedLimit = parseInt(
+    getInput('github-hosted-limit') || '1000',
+    10
+  )
+  const minuteMultipliers = parseMinuteMultipliers(
+    getInput('minute-multipliers')
+  )
+  const githubHostedBudget = getGitHubHostedBudget()
+  const maxQueueDepth = getMaxQueueDepth()
+  const mutexKey = getInput('mutex-key') // Optional mutex key
+  const mutexOptions = getMutexOptions()
+  const owner = process.env.GITHUB_REPOSITORY_OWNER
+  const repo = process.env.GITHUB_REPOSITORY?.split('/')[1]
+  const [mutexOwner, mutexRepo] = getMutexRepository(owner, repo)
+
+  core.info(`Checking runners for owner: ${owner}`)
+  core.info(`Repository: ${repo}`)
+  if (runnerPoolsInput) {
+    core.info(
+      `Runner pools: ${pools.map((pool) => `${pool.name} (${pool.type})`).join(', ')}`
+    )
+  } else {
+    core.info(`Self-hosted tags: ${selfHostedTags.join(', ')}`)
+    core.info(`GitHub-hosted tags: ${githubHostedTags.join(', ')}`)
+  }
+  core.info(`GitHub-hosted limit: ${githubHostedLimit} minutes`)
+
+  // Initialize GitHub API clients, one per distinct token
+  const onApiError = getOnApiError()
+  const apiOptions = {
+    runnerPageLimit: getRunnerPageLimit(),
+    enterprise: getInput('enterprise'),
+    includedMinutes: getIncludedMinutes(),
+    cache: getBillingCache()
+  }
+  const clients = new Map()
+  const clientFor = (tokenInput) => {
+    const source = getInput(tokenInput) ? tokenInput : 'github-token'
+    if (!clients.has(source)) {
+      clients.set(source, createGitHubAPI(owner, apiOptions, tokenInput))
+    }
+    return clients.get(source)
+  }
+  const runnersApi = await clientFor('runners-token')
+  const billingApi = await clientFor('billing-token')
+  const mutexApi = await clientFor('mutex-github-token')
+
+  // Fail early if locks cannot be taken in the mutex repository
+  if (mutexKey) {
+    core.info(`Mutex repository: ${mutexOwner}/${mutexRepo}`)
+    if (!(await mutexApi.canWriteRepository(mutexOwner, mutexRepo))) {
+      throw new Error(
+        `Cannot take mutex locks in ${mutexOwner}/${mutexRepo}: the repository does not exist or the token has no write access to it`
+      )
+    }
+  }
+
+  // Determine if this is an organization or user
+  core.info('Determining repository type...')
+  const isOrg = await runnersApi.isOrganization(owner)
+  core.info(`Repository type: ${isOrg ? 'organization' : 'user'}`)
+
+  // Get self-hosted runners and billing info
+  core.info('Fetching runner information...')
+  const [runnerListing, billingInfo, queuedJobs] = await Promise.all([
+    listSelfHostedRunners(runnersApi, owner, repo, isOrg, onApiError),
+    billingApi.getBillingInfo(owner, isOrg, {
+      spend:
+        githubHostedBudget !== null ||
+        pools.some((pool) => pool.budget !== undefined)
+    }),
+    maxQueueDepth === null ? null : listQueuedJobs(runnersApi, owner, repo)
+  ])
+  const { runners } = runnerListing
+
+  // Record failed runner levels of every listing in the selection reason
+  const failedLevels = new Set()
+  const recordFailedLevels = (listing) =>
+    listing.failedLevels
+      ?.split(', ')
+      .forEach((level) => failedLevels.add(level))
+  recordFailedLevels(runnerListing)
+  const setReason = (reason) =>
+    core.setOutput(
+      'reason',
+      failedLevels.size > 0
+        ? `${reason} (runner listing failed: ${[...failedLevels].join(', ')}, on-api-error: ${onApiError})`
+        : reason
+    )
+
+  core.info(`Found ${runners.length} self-hosted runners`)
+  core.setOutput('runners-scanned', String(runners.length))
+  if (runners.length === 0 && failedLevels.size === 0) {
+    core.info(
+      'ℹ️ No self-hosted runners are configured for this repository/organization'
+    )
+    core.info('Will use GitHub-hosted runners based on usage limits')
+  }
+  core.info(
+    `GitHub Actions billing - Used: ${billingInfo.total_minutes_used}/${formatMinutes(billingInfo.included_minutes)} minutes (included minutes: ${billingInfo.included_minutes_source}${billingInfo.estimated ? ', estimated' : ''})`
+  )
+  core.info(runnersApi.getRateLimitSummary())
+
+  /**
+   * Take the mutex lock for a self-hosted pool and refresh the runners once
+   * it is held. Lock errors fall back to GitHub-hosted runners; listing
+   * errors release the lock and follow on-api-error like the first listing.
+   *
+   * @param {string} poolName - Pool the lock is taken for.
+   * @returns {Promise<Object>} The mutex to release unless its pool is
+   *   selected (null if none is held), and the lock state to select with.
+   */
+  const acquireMutex = async (poolName) => {
+    core.info(`Acquiring mutex lock: ${mutexKey}`)
+    const lockMutex = new GitMutex(
+      mutexApi.octokit,
+      mutexOwner,
+      mutexRepo,
+      mutexKey,
+      mutexOptions
+    )
+    const notAcquired = { pool: poolName, acquired: false }
+
+    let lockAcquired
+    try {
+      lockAcquired = await lockMutex.acquireLock(
+        mutexOptions.timeoutMs,
+        mutexOptions.retryIntervalMs
+      )
+    } catch (error) {
+      core.warning(`Mutex error: ${error.message}`)
+      core.info('Falling back to GitHub-hosted runners')
+      await lockMutex.releaseLock()
+      return { mutex: null, state: { lock: notAcquired } }
+    }
+
+    const mutexHolder = GitMutex.describeHolder(lockMutex.getHolder())
+    core.info(`Mutex holder: ${mutexHolder}`)
+    core.setOutput('mutex-holder', mutexHolder)
+    if (lockMutex.queuePosition !== null) {
+      core.setOutput('mutex-queue-position', String(lockMutex.queuePosition))
+    }
+
+    if (!lockAcquired) {
+      core.info(
+        'Failed to acquire mutex lock, checking GitHub-hosted runners instead'
+      )
+      return { mutex: null, state: { lock: notAcquired } }
+    }
+
+    // Double-check runners are still available after acquiring lock
+    let latestListing
+    try {
+      latestListing = await listSelfHostedRunners(
+        runnersApi,
+        owner,
+        repo,
+        isOrg,
+        onApiError
+      )
+    } catch (error) {
+      await lockMutex.releaseLock()
+      throw error
+    }
+    recordFailedLevels(latestListing)
+
+    return {
+      mutex: lockMutex,
+      state: {
+        runners: latestListing.runners,
+        available: latestListing.available,
+        lock: {
+          pool: poolName,
+          acquired: true,
+          description:
+            lockMutex.slots > 1
+              ? `${mutexKey}, slot ${lockMutex.slot + 1}/${lockMutex.slots}`
+              : mutexKey
+        }
+      }
+    }
+  }
+
+  // Decide from the listed runners and billing
+  const selectionConfig = {
+    pools,
+    githubHostedLimit,
+    githubHostedBudget,
+    minuteMultipliers,
+    mutex: Boolean(mutexKey),
+    maxQueueDepth
+  }
+  let state = {
+    runners,
+    available: runnerListing.available,
+    billing: billingInfo,
+    queuedJobs
+  }
+  let decision = selectRunner(state, selectionConfig)
+
+  // Take the lock for the chosen self-hosted pool, then decide again
+  let mutex = null
+  if (decision.reasonCode === 'lock-required') {
+    logCandidates(decision.candidates)
+    const attempt = await acquireMutex(decision.pool)
+    mutex = attempt.mutex
+    state = { ...state, ...attempt.state }
+    decision = selectRunner(state, selectionConfig)
+  }
+  logCandidates(decision.candidates)
+
+  if (mutex && decision.reasonCode !== 'self-hosted-locked') {
+    await mutex.releaseLock()
+  }
+  if (decision.reasonCode === 'fallback') {
+    core.info(
+      `Falling back to ${decision.type} runners even if busy ${decision.labels.join(', ')}`
+    )
+  }
+
+  core.setOutput('selected-runner', decision.runner)
+  core.setOutput('runner-type', decision.type)
+  core.setOutput('pool', decision.pool)
+  setReason(decision.reason)
+  if (decision.reasonCode === 'self-hosted-locked') {
+    // The lock stays held until a later step runs the release action
+    core.setOutput('mutex-token', mutex.getToken())
+    core.setOutput('mutex-slot', String(mutex.slot))
+  }
+}
+
+/**
+ * Log the runner pools checked by a selection.
+ *
+ * @param {Array<Object>} candidates - Candidates of the decision.
+ */
+function logCandidates(candidates) {
+  for (const candidate of candidates) {
+    core.info(
+      `Runner pool ${candidate.pool} (${candidate.type}): ${candidate.reasonCode}`
+    )
+    for (const note of candidate.notes) {
+      core.info(note)
+    }
+  }
+}
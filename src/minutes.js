@@ -0,0 +1,123 @@
+/**
+ * GitHub-hosted minute accounting with runner OS multipliers
+ */
+
+// Included minutes consumed per job minute, by runner OS
+export const DEFAULT_MINUTE_MULTIPLIERS = {
+  linux: 1,
+  windows: 2,
+  macos: 10
+}
+
+/**
+ * Infer the runner OS from a hosted runner label or billing breakdown key
+ * @param {string} name - Label such as "macos-latest" or key such as "UBUNTU"
+ * @returns {string} "linux", "windows" or "macos"
+ */
+export function inferRunnerOs(name) {
+  const value = name.toLowerCase()
+  if (/mac/.test(value)) {
+    return 'macos'
+  }
+  if (/windows/.test(value)) {
+    return 'windows'
+  }
+  return 'linux'
+}
+
+/**
+ * Parse multipliers such as "windows=2,macos=10,ubuntu-latest-16-cores=8"
+ * Keys are runner OSes or hosted runner labels; unlisted OSes keep their
+ * default multiplier.
+ * @param {string} value - Comma-separated key=multiplier pairs
+ * @returns {Object} Multipliers by OS and label
+ */
+export function parseMinuteMultipliers(value) {
+  const multipliers = { ...DEFAULT_MINUTE_MULTIPLIERS }
+
+  for (const pair of (value || '').split(',')) {
+    if (!pair.trim()) {
+      continue
+    }
+
+    const [key, multiplier, ...rest] = pair
+      .split('=')
+      .map((part) => part.trim())
+    const parsed = Number(multiplier)
+    if (!key || rest.length > 0 || !(parsed > 0)) {
+      throw new Error(
+        `Invalid minute-multipliers: ${value}. Expected "key=multiplier" pairs, e.g. "windows=2,macos=10"`
+      )
+    }
+    multipliers[key.toLowerCase()] = parsed
+  }
+
+  return multipliers
+}
+
+/**
+ * Get the multiplier of a job running on the given hosted runner labels
+ * A label with its own multiplier wins over the multiplier of its OS; with
+ * several labels the most expensive one counts.
+ * @param {Array<string>} labels - GitHub-hosted runner labels
+ * @param {Object} multipliers - Multipliers by OS and label
+ * @returns {number} Included minutes consumed per job minute
+ */
+export function getLabelMultiplier(
+  labels,
+  multipliers = DEFAULT_MINUTE_MULTIPLIERS
+) {
+  const values = labels.map((label) => {
+    const key = label.trim().toLowerCase()
+    return Object.hasOwn(multipliers, key)
+      ? multipliers[key]
+      : multipliers[inferRunnerOs(key)]
+  })
+  return values.length > 0 ? Math.max(...values) : multipliers.linux
+}
+
+/**
+ * Get the included minutes consumed so far, with multipliers applied
+ * The legacy billing API already reports multiplied minutes. The enhanced
+ * usage report gives raw job minutes, marked with minutes_multiplied: false,
+ * which are weighted by their per-OS breakdown.
+ * @param {Object} billingInfo - Billing information
+ * @param {Object} multipliers - Multipliers by OS and label
+ * @returns {number} Consumed included minutes
+ */
+export function getWeightedMinutesUsed(
+  billingInfo,
+  multipliers = DEFAULT_MINUTE_MULTIPLIERS
+) {
+  const breakdown = Object.entries(
+    billingInfo.minutes_used_breakdown ?? {}
+  ).filter(([key]) => key !== 'total')
+
+  if (billingInfo.minutes_multiplied !== false || breakdown.length === 0) {
+    return billingInfo.total_minutes_used
+  }
+
+  return breakdown.reduce(
+    (sum, [key, minutes]) =>
+      sum + (minutes || 0) * multipliers[inferRunnerOs(key)],
+    0
+  )
+}
+
+/**
+ * Get the job minutes left on the given hosted runner labels
+ * @param {Object} billingInfo - Billing information
+ * @param {Array<string>} labels - GitHub-hosted runner labels
+ * @param {Object} multipliers - Multipliers by OS and label
+ * @returns {number} Remaining job minutes (Infinity when unlimited)
+ */
+export function getEffectiveRemainingMinutes(
+  billingInfo,
+  labels = [],
+  multipliers = DEFAULT_MINUTE_MULTIPLIERS
+) {
+  const remaining =
+    billingInfo.included_minutes -
+    getWeightedMinutesUsed(billingInfo, multipliers)
+  return Math.floor(remaining / getLabelMultiplier(labels, multipliers))
+}
@@ -0,0 +1,125 @@
+/**
+ * Inspection and maintenance of mutex locks
+ */
+import { createLockBackend } from './lock-backends/index.js'
+
+/**
+ * Look up the workflow run holding a lock
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} lockData - Lock metadata
+ * @returns {Promise<Object|null>} Run status, conclusion and URL, or null if
+ *   the run cannot be determined
+ */
+export async function getHolderRun(octokit, lockData) {
+  const [owner, repo] = (lockData?.repository || '').split('/')
+  const runId = Number(lockData?.workflow)
+
+  if (!owner || !repo || !Number.isInteger(runId) || runId <= 0) {
+    return null
+  }
+
+  try {
+    const { data: run } = await octokit.rest.actions.getWorkflowRun({
+      owner,
+      repo,
+      run_id: runId
+    })
+    return {
+      status: run.status,
+      conclusion: run.conclusion,
+      url: run.html_url
+    }
+  } catch (error) {
+    // Deleted runs and runs in repositories the token cannot see look alike
+    if (error.status === 404 || error.status === 403) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * List the held mutex locks of a repository
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Listing options
+ * @param {string} options.backend - Lock backend name (default: "git-ref")
+ * @param {string} options.key - Only list locks for this mutex key
+ * @returns {Promise<Array<Object>>} Locks with name, version, metadata, age
+ *   in milliseconds and holder run (null if unknown)
+ */
+export async function listMutexLocks(octokit, owner, repo, options = {}) {
+  const backend = createLockBackend(
+    options.backend ?? 'git-ref',
+    octokit,
+    owner,
+    repo
+  )
+  const prefix = options.key ? `mutex/${options.key}` : 'mutex/'
+  // Keep only the key itself and its semaphore slots, not longer keys
+  const names = (await backend.list(prefix)).filter(
+    (name) =>
+      !options.key ||
+      name === prefix ||
+      /^\/\d+$/.test(name.slice(prefix.length))
+  )
+
+  const locks = []
+  for (const name of names.sort()) {
+    const lock = await backend.read(name)
+    if (!lock) {
+      // Released while listing
+      continue
+    }
+
+    locks.push({
+      name,
+      version: lock.version,
+      data: lock.data,
+      age: Date.now() - (lock.data.heartbeat ?? lock.data.timestamp),
+      run: await getHolderRun(octokit, lock.data)
+    })
+  }
+
+  return locks
+}
+
+/**
+ * Remove the mutex locks whose holding run has finished
+ * Locks whose run cannot be found are kept, since the token may simply not
+ * be able to see the holding repository.
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Same options as listMutexLocks()
+ * @returns {Promise<Array<Object>>} Removed locks
+ */
+export async function forceUnlockMutexes(octokit, owner, repo, options = {}) {
+  const backend = createLockBackend(
+    options.backend ?? 'git-ref',
+    octokit,
+    owner,
+    repo
+  )
+  const locks = await listMutexLocks(octokit, owner, repo, options)
+  const removed = []
+
+  for (const lock of locks) {
+    if (lock.run?.status !== 'completed') {
+      continue
+    }
+
+    // Skip locks taken over by another run since they were listed
+    const current = await backend.read(lock.name)
+    if (!current || current.data.id !== lock.data.id) {
+      continue
+    }
+
+    if (await backend.delete(lock.name)) {
+      removed.push(lock)
+    }
+  }
+
+  return removed
+}
@@ -0,0 +1,281 @@
+/**
+ * Repository policy file with named profiles of action inputs
+ */
+import { readFile } from 'node:fs/promises'
+import { load } from 'js-yaml'
+import { parseDuration } from './duration.js'
+import { LOCK_BACKENDS } from './lock-backends/index.js'
+import { parseMinuteMultipliers } from './minutes.js'
+import { parseRunnerPools } from './runner-pools.js'
+
+export const DEFAULT_POLICY_FILE = '.github/pick-runner.yml'
+
+// Credentials stay in workflow inputs and secrets, never in the repository
+const SECRET_INPUTS = [
+  'github-token',
+  'runners-token',
+  'billing-token',
+  'mutex-github-token',
+  'app-private-key'
+]
+
+/**
+ * Throw a validation error for a key of the policy
+ * @param {string} path - Key path, e.g. "profiles.build.mutex-slots"
+ * @param {string} message - What is wrong with the value
+ */
+function fail(path, message) {
+  throw new Error(`${path} ${message}`)
+}
+
+// Validators check the value at a key path and return it as an input string
+const labels = (value, path) => {
+  const list = typeof value === 'string' ? value.split(',') : value
+  if (
+    !Array.isArray(list) ||
+    !list.every((label) => typeof label === 'string' && label.trim())
+  ) {
+    fail(path, 'must be a list of labels or a comma-separated string')
+  }
+  return list.map((label) => label.trim()).join(',')
+}
+
+const text = (value, path) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    fail(path, 'must be a non-empty string')
+  }
+  return value
+}
+
+const number =
+  ({ integer, min }) =>
+  (value, path) => {
+    if (
+      typeof value !== 'number' ||
+      (integer && !Number.isInteger(value)) ||
+      value < min
+    ) {
+      fail(
+        path,
+        `must be ${integer ? 'an integer' : 'a number'} of at least ${min}`
+      )
+    }
+    return String(value)
+  }
+
+const id = (value, path) => {
+  if (!/^[1-9]\d*$/.test(String(value))) {
+    fail(path, 'must be a numeric ID')
+  }
+  return String(value)
+}
+
+const boolean = (value, path) => {
+  if (typeof value !== 'boolean') {
+    fail(path, 'must be true or false')
+  }
+  return String(value)
+}
+
+const duration = (value, path) => {
+  try {
+    parseDuration(value, path)
+  } catch {
+    fail(path, 'must be a duration such as "90s", "10m" or "1h30m"')
+  }
+  return String(value)
+}
+
+const oneOf = (choices) => (value, path) => {
+  if (!choices.includes(value)) {
+    fail(path, `must be one of ${choices.map((c) => `"${c}"`).join(', ')}`)
+  }
+  return value
+}
+
+const repository = (value, path) => {
+  if (typeof value !== 'string' || !/^[^/\s]+\/[^/\s]+$/.test(value)) {
+    fail(path, 'must be a repository such as "owner/repo"')
+  }
+  return value
+}
+
+const multipliers = (value, path) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, multiplier] of Object.entries(value)) {
+      if (typeof multiplier !== 'number' || !(multiplier > 0)) {
+        fail(`${path}.${key}`, 'must be a number greater than 0')
+      }
+    }
+    return Object.entries(value)
+      .map(([key, multiplier]) => `${key}=${multiplier}`)
+      .join(',')
+  }
+
+  try {
+    parseMinuteMultipliers(text(value, path))
+  } catch {
+    fail(path, 'must map runner OSes or labels to multipliers')
+  }
+  return value
+}
+
+const runnerPools = (value, path) => {
+  const input = typeof value === 'string' ? value : JSON.stringify(value)
+  try {
+    parseRunnerPools(input)
+  } catch (error) {
+    // Point the runner-pools[i] paths of the error into the policy
+    const message = error.message.replace(/^Invalid runner-pools: /, '')
+    throw new Error(
+      message.startsWith('runner-pools')
+        ? `${path}${message.slice('runner-pools'.length)}`
+        : `${path}: ${message}`
+    )
+  }
+  return input
+}
+
+// Inputs a policy may set, with the validator normalizing each to its string
+const POLICY_INPUTS = {
+  'self-hosted-tags': labels,
+  'github-hosted-tags': labels,
+  'runner-pools': runnerPools,
+  'github-hosted-limit': number({ integer: true, min: 0 }),
+  'github-hosted-budget': number({ integer: false, min: 0 }),
+  'minute-multipliers': multipliers,
+  'included-minutes': number({ integer: true, min: 0 }),
+  'billing-cache-ttl': duration,
+  'app-id': id,
+  'app-installation-id': id,
+  enterprise: text,
+  'api-url': text,
+  'api-retries': number({ integer: true, min: 0 }),
+  'api-retry-delay': duration,
+  'on-api-error': oneOf(['fail', 'warn', 'assume-busy', 'assume-available']),
+  'runner-page-limit': number({ integer: true, min: 1 }),
+  'max-queue-depth': number({ integer: true, min: 0 }),
+  'mutex-key': text,
+  'mutex-timeout': duration,
+  'mutex-retry-interval': duration,
+  'mutex-ttl': duration,
+  'mutex-slots': number({ integer: true, min: 1 }),
+  'mutex-queue': boolean,
+  'mutex-backoff': oneOf(['fixed', 'exponential']),
+  'mutex-backend': oneOf(Object.keys(LOCK_BACKENDS)),
+  'mutex-repository': repository
+}
+
+/**
+ * Validate a set of inputs and convert them to input strings
+ * @param {*} inputs - Mapping of input names to values
+ * @param {string} path - Key path of the mapping
+ * @returns {Object} Input strings by input name
+ */
+function parseInputs(inputs, path) {
+  if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+    fail(path, 'must be a mapping of action inputs')
+  }
+
+  return Object.fromEntries(
+    Object.entries(inputs).map(([name, value]) => {
+      const inputPath = `${path}.${name}`
+      if (SECRET_INPUTS.includes(name)) {
+        fail(inputPath, 'cannot be set in the policy file, pass it as an input')
+      }
+      if (!Object.hasOwn(POLICY_INPUTS, name)) {
+        fail(inputPath, 'is not an input the policy file can set')
+      }
+      return [name, POLICY_INPUTS[name](value, inputPath)]
+    })
+  )
+}
+
+/**
+ * Parse and validate a policy file
+ * @param {string} content - YAML policy with defaults and profiles
+ * @param {string} source - File name used in error messages
+ * @returns {Object} Default inputs and inputs by profile name, as strings
+ */
+export function parsePolicy(content, source = DEFAULT_POLICY_FILE) {
+  try {
+    const document = load(content) ?? {}
+    if (typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('expected a mapping with defaults and profiles')
+    }
+
+    for (const key of Object.keys(document)) {
+      if (!['defaults', 'profiles'].includes(key)) {
+        fail(key, 'is not a policy section, expected defaults or profiles')
+      }
+    }
+
+    const profiles = document.profiles ?? {}
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+      fail('profiles', 'must be a mapping of profile names to inputs')
+    }
+
+    return {
+      defaults: parseInputs(document.defaults ?? {}, 'defaults'),
+      profiles: Object.fromEntries(
+        Object.entries(profiles).map(([name, inputs]) => [
+          name,
+          parseInputs(inputs ?? {}, `profiles.${name}`)
+        ])
+      )
+    }
+  } catch (error) {
+    throw new Error(`Invalid policy file ${source}: ${error.message}`)
+  }
+}
+
+/**
+ * Read a policy file
+ * @param {string} filePath - Path of the policy file
+ * @param {string} source - File name used in error messages
+ * @returns {Promise<Object|null>} Parsed policy, or null if the file does
+ *   not exist
+ */
+export async function loadPolicy(filePath, source = filePath) {
+  let content
+  try {
+    content = await readFile(filePath, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+  return parsePolicy(content, source)
+}
+
+/**
+ * Get the inputs a policy sets for a profile
+ * @param {Object|null} policy - Parsed policy, null without a policy file
+ * @param {string} profile - Profile name, empty for the defaults alone
+ * @param {string} source - File name used in error messages
+ * @returns {Object} Input strings by input name, profile over defaults
+ */
+export function resolvePolicyInputs(policy, profile, source) {
+  if (!policy) {
+    if (profile) {
+      throw new Error(
+        `Policy file ${source} not found, it is needed for profile "${profile}"`
+      )
+    }
+    return {}
+  }
+
+  if (profile && !Object.hasOwn(policy.profiles, profile)) {
+    const names = Object.keys(policy.profiles)
+    throw new Error(
+      `Unknown profile "${profile}" in ${source}. ${
+        names.length > 0
+          ? `Available profiles: ${names.join(', ')}`
+          : 'The file defines no profiles'
+      }`
+    )
+  }
+
+  return { ...policy.defaults, ...(profile ? policy.profiles[profile] : {}) }
+}
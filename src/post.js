@@ -0,0 +1,8 @@
+/**
+ * The post entrypoint for the action. This file simply imports and runs the
+ * action's post step logic.
+ */
+import { post } from './main.js'
+
+/* istanbul ignore next */
+post()
@@ -0,0 +1,138 @@
+/**
+ * Ordered runner pools the selection walks through
+ */
+import { load } from 'js-yaml'
+
+const POOL_TYPES = ['self-hosted', 'github-hosted']
+
+// Conditions each pool type understands, besides name, type, labels and always
+const POOL_CONDITIONS = {
+  'self-hosted': ['min-idle'],
+  'github-hosted': ['min-minutes', 'budget']
+}
+
+/**
+ * Split comma-separated runner labels
+ * @param {string} value - Labels such as "self-hosted, linux"
+ * @returns {Array<string>} Trimmed, non-empty labels
+ */
+export function parseLabels(value) {
+  return value
+    .split(',')
+    .map((label) => label.trim())
+    .filter((label) => label.length > 0)
+}
+
+/**
+ * Build the two pools used without runner-pools
+ * @param {Array<string>} selfHostedTags - Self-hosted runner labels
+ * @param {Array<string>} githubHostedTags - GitHub-hosted runner labels
+ * @returns {Array<Object>} Self-hosted pool followed by GitHub-hosted pool
+ */
+export function defaultRunnerPools(selfHostedTags, githubHostedTags) {
+  return [
+    { name: 'self-hosted', type: 'self-hosted', labels: selfHostedTags },
+    { name: 'github-hosted', type: 'github-hosted', labels: githubHostedTags }
+  ]
+}
+
+/**
+ * Parse and validate the runner-pools input
+ * @param {string} value - YAML or JSON list of pools
+ * @returns {Array<Object>} Pools with name, type, labels and conditions
+ *   (minIdle, minMinutes, budget, always)
+ */
+export function parseRunnerPools(value) {
+  let pools
+  try {
+    pools = load(value)
+  } catch (error) {
+    throw new Error(`Invalid runner-pools: ${error.reason ?? error.message}`)
+  }
+
+  if (!Array.isArray(pools) || pools.length === 0) {
+    throw new Error('Invalid runner-pools: expected a non-empty list of pools')
+  }
+
+  const names = new Set()
+  return pools.map((pool, index) => {
+    const path = `runner-pools[${index}]`
+    const fail = (message) => {
+      throw new Error(`Invalid runner-pools: ${message}`)
+    }
+
+    if (!pool || typeof pool !== 'object' || Array.isArray(pool)) {
+      fail(`${path} must be a mapping`)
+    }
+    if (typeof pool.name !== 'string' || !pool.name.trim()) {
+      fail(`${path}.name must be a non-empty string`)
+    }
+    if (names.has(pool.name)) {
+      fail(`${path}.name "${pool.name}" is used by an earlier pool`)
+    }
+    names.add(pool.name)
+    if (!POOL_TYPES.includes(pool.type)) {
+      fail(`${path}.type must be "self-hosted" or "github-hosted"`)
+    }
+
+    const labels =
+      typeof pool.labels === 'string' ? parseLabels(pool.labels) : pool.labels
+    if (
+      !Array.isArray(labels) ||
+      labels.length === 0 ||
+      !labels.every((label) => typeof label === 'string' && label.trim())
+    ) {
+      fail(`${path}.labels must be a non-empty list of labels`)
+    }
+
+    const allowed = ['name', 'type', 'labels', 'always']
+    for (const key of Object.keys(pool)) {
+      if (!allowed.includes(key) && !POOL_CONDITIONS[pool.type].includes(key)) {
+        fail(`${path}.${key} is not a condition of ${pool.type} pools`)
+      }
+    }
+
+    const number = (key, { integer, min }) => {
+      const condition = pool[key]
+      if (condition === undefined) {
+        return undefined
+      }
+      if (
+        typeof condition !== 'number' ||
+        (integer && !Number.isInteger(condition)) ||
+        condition < min
+      ) {
+        fail(
+          `${path}.${key} must be ${integer ? 'an integer' : 'a number'} of at least ${min}`
+        )
+      }
+      return condition
+    }
+    if (pool.always !== undefined && typeof pool.always !== 'boolean') {
+      fail(`${path}.always must be true or false`)
+    }
+
+    return {
+      name: pool.name,
+      type: pool.type,
+      labels: labels.map((label) => label.trim()),
+      minIdle: number('min-idle', { integer: true, min: 1 }),
+      minMinutes: number('min-minutes', { integer: true, min: 0 }),
+      budget: number('budget', { integer: false, min: 0 }),
+      always: pool.always === true
+    }
+  })
+}
+
+/**
+ * Pick the pool used when no pool qualifies
+ * Like the two-pool selection, this is the first self-hosted pool, whose jobs
+ * wait for a busy runner; without self-hosted pools it is the last pool.
+ * @param {Array<Object>} pools - Runner pools in order of preference
+ * @returns {Object} Fallback pool
+ */
+export function getFallbackPool(pools) {
+  return (
+    pools.find((pool) => pool.type === 'self-hosted') ?? pools[pools.length - 1]
+  )
+}
@@ -0,0 +1,335 @@
+/**
+ * Runner selection rules
+ * Decides from a snapshot of runners, billing and lock state, without API
+ * calls or action inputs, so other entrypoints can reuse the same rules.
+ */
+import { getEffectiveRemainingMinutes, getLabelMultiplier } from './minutes.js'
+import { getFallbackPool } from './runner-pools.js'
+
+/**
+ * Check whether a runner carries every label (case-insensitive)
+ * @param {Object} runner - Runner object
+ * @param {Array<string>} labels - Required labels
+ * @returns {boolean} True if no label is missing
+ */
+function hasLabels(runner, labels) {
+  const runnerLabels = runner.labels.map((label) => label.name.toLowerCase())
+  return labels.every((label) =>
+    runnerLabels.includes(label.trim().toLowerCase())
+  )
+}
+
+/**
+ * Check whether the repository can run jobs on a runner
+ * @param {Object} runner - Runner object
+ * @returns {boolean} True if the runner is online and its group is usable
+ */
+function isUsable(runner) {
+  return runner.status === 'online' && runner._groupAllowed !== false
+}
+
+/**
+ * Count the self-hosted runners that are online, idle and carry every label
+ * @param {Array} runners - Array of runner objects
+ * @param {Array<string>} labels - Required labels
+ * @returns {number} Number of available runners
+ */
+export function countAvailableRunners(runners, labels) {
+  return runners.filter(
+    (runner) => isUsable(runner) && !runner.busy && hasLabels(runner, labels)
+  ).length
+}
+
+/**
+ * Count the queued jobs competing for the runners of a pool
+ * A job competes when one of the pool's runners carries all of its labels.
+ * @param {Array} jobs - Queued jobs with their labels
+ * @param {Array} runners - Array of runner objects
+ * @param {Array<string>} labels - Labels of the pool
+ * @returns {number} Number of competing jobs
+ */
+export function countQueuedJobs(jobs, runners, labels) {
+  const poolRunners = runners.filter(
+    (runner) => isUsable(runner) && hasLabels(runner, labels)
+  )
+  return jobs.filter(
+    (job) =>
+      job.labels.length > 0 &&
+      poolRunners.some((runner) => hasLabels(runner, job.labels))
+  ).length
+}
+
+/**
+ * Format runner labels as the selected-runner output
+ * @param {Array<string>} labels - Runner labels
+ * @returns {string} JSON string for a single label, JSON array otherwise
+ */
+export function formatRunnerLabels(labels) {
+  return JSON.stringify(labels.length === 1 ? labels[0] : labels)
+}
+
+/**
+ * Format an amount for logs and the selection reason
+ * @param {number} amount - Amount in USD
+ * @returns {string} Amount with two decimals, e.g. "$12.50"
+ */
+export function formatUsd(amount) {
+  return `$${amount.toFixed(2)}`
+}
+
+/**
+ * Format a number of minutes for logs and the selection reason
+ * @param {number} minutes - Minutes, Infinity when capacity is unlimited
+ * @returns {string|number} Minutes, or "unlimited"
+ */
+export function formatMinutes(minutes) {
+  return Number.isFinite(minutes) ? minutes : 'unlimited'
+}
+
+/**
+ * Check whether a self-hosted pool has enough idle runners
+ * With a queue depth, jobs already queued for the pool's runners take idle
+ * runners first, and up to maxQueueDepth of them may remain ahead.
+ * @param {Object} state - Selection state
+ * @param {Object} config - Selection config
+ * @param {Object} pool - Self-hosted runner pool
+ * @returns {Object} Whether the pool can take the job, and the idle runners
+ *   and queued jobs when the queue was considered
+ */
+function checkCapacity(state, config, pool) {
+  if (state.available !== null && state.available !== undefined) {
+    return { available: state.available }
+  }
+
+  const minIdle = pool.minIdle ?? 1
+  const idle = countAvailableRunners(state.runners, pool.labels)
+  if ((config.maxQueueDepth ?? null) === null || !state.queuedJobs) {
+    return { available: idle >= minIdle }
+  }
+
+  const queued = countQueuedJobs(state.queuedJobs, state.runners, pool.labels)
+  return {
+    available: idle - queued + config.maxQueueDepth >= minIdle,
+    idle,
+    queued
+  }
+}
+
+/**
+ * Check a GitHub-hosted pool against its remaining minutes and budget
+ * @param {Object} state - Selection state
+ * @param {Object} config - Selection config
+ * @param {Object} pool - GitHub-hosted runner pool
+ * @returns {Object} Candidate, with the reason when the pool qualifies
+ */
+function checkGitHubHostedPool(state, config, pool) {
+  const { billing } = state
+  const limit = pool.minMinutes ?? config.githubHostedLimit
+  const budget = pool.budget ?? config.githubHostedBudget ?? null
+  const multiplier = getLabelMultiplier(pool.labels, config.minuteMultipliers)
+  const remainingMinutes = getEffectiveRemainingMinutes(
+    billing,
+    pool.labels,
+    config.minuteMultipliers
+  )
+  const remaining = formatMinutes(remainingMinutes)
+  const minutesNote = `${multiplier !== 1 ? `, ${multiplier}x minute multiplier` : ''}${billing.estimated ? ', estimated' : ''}`
+
+  // Remaining minutes are counted in job minutes on the pool's labels
+  if (remainingMinutes >= limit) {
+    return {
+      reasonCode: 'github-hosted-minutes',
+      notes: [
+        `GitHub-hosted runners have sufficient remaining minutes: ${remaining} >= ${limit}`
+      ],
+      reason: `GitHub-hosted runners have sufficient remaining minutes (${remaining} >= ${limit}${minutesNote})`
+    }
+  }
+
+  const notes = [
+    `GitHub-hosted runners do not have sufficient remaining minutes: ${remaining} < ${limit}`
+  ]
+  let reasonCode = 'insufficient-minutes'
+
+  // Past the included minutes, billed minutes may be used up to the budget
+  let budgetNote = ''
+  if (budget !== null) {
+    const spend = billing.net_amount ?? billing.gross_amount
+    if (spend === undefined) {
+      notes.push('Actions spend unknown, github-hosted-budget not applied')
+    } else {
+      const spent = `${formatUsd(spend)} of ${formatUsd(budget)}`
+      if (spend < budget) {
+        notes.push(`Actions spend is within budget: ${spent}`)
+        return {
+          reasonCode: 'github-hosted-budget',
+          notes,
+          reason: `GitHub-hosted runners within budget (${spent} spent this month)`
+        }
+      }
+      notes.push(`Actions spend reached the budget: ${spent}`)
+      budgetNote = `, ${spent} budget spent`
+      reasonCode = 'budget-spent'
+    }
+  }
+
+  return {
+    reasonCode,
+    notes,
+    shortfall: `GitHub-hosted runners insufficient (${remaining} < ${limit}${minutesNote}${budgetNote})`
+  }
+}
+
+/**
+ * Check a self-hosted pool, taking the mutex lock state into account
+ * @param {Object} state - Selection state
+ * @param {Object} config - Selection config
+ * @param {Object} pool - Self-hosted runner pool
+ * @returns {Object} Candidate, with the reason when the pool qualifies
+ */
+function checkSelfHostedPool(state, config, pool) {
+  const { lock } = state
+
+  // Once a lock was attempted, only the pool it was taken for is considered
+  if (config.mutex && lock) {
+    if (lock.pool !== pool.name) {
+      return {
+        reasonCode: 'lock-skipped',
+        notes: [
+          `Skipping self-hosted pool, the mutex lock was requested for ${lock.pool}`
+        ]
+      }
+    }
+    if (!lock.acquired) {
+      return { reasonCode: 'lock-failed', notes: [] }
+    }
+    if (!checkCapacity(state, config, pool).available) {
+      return {
+        reasonCode: 'became-unavailable',
+        notes: ['Self-hosted runners became unavailable while waiting for lock']
+      }
+    }
+    return {
+      reasonCode: 'self-hosted-locked',
+      notes: [],
+      reason: `Self-hosted runners available with mutex protection (${lock.description})`
+    }
+  }
+
+  const capacity = checkCapacity(state, config, pool)
+  const load =
+    capacity.queued === undefined
+      ? ''
+      : ` (${capacity.idle} idle, ${capacity.queued} queued)`
+  if (!capacity.available) {
+    const busy = capacity.queued > 0 && capacity.idle >= (pool.minIdle ?? 1)
+    return {
+      reasonCode: busy ? 'queue-too-deep' : 'unavailable',
+      notes: [
+        busy
+          ? `Self-hosted runners are claimed by queued jobs${load}`
+          : `Self-hosted runners are not available or busy${load}`
+      ]
+    }
+  }
+
+  const notes = [
+    `Self-hosted runners are available and not busy: ${pool.labels.join(', ')}${load}`
+  ]
+  if (config.mutex) {
+    return {
+      reasonCode: 'lock-required',
+      notes,
+      reason: 'Self-hosted runners are available, mutex lock required'
+    }
+  }
+  return {
+    reasonCode: 'self-hosted-available',
+    notes,
+    reason: `Self-hosted runners are available${load}`
+  }
+}
+
+/**
+ * Select a runner pool
+ *
+ * Pools are checked in order and the first qualifying one is chosen. With a
+ * mutex, an available self-hosted pool first yields the "lock-required"
+ * decision; the caller takes the lock, refreshes the runners and selects
+ * again with the lock state.
+ *
+ * @param {Object} state - Snapshot the decision is based on
+ * @param {Array} state.runners - Listed self-hosted runners
+ * @param {boolean|null} [state.available] - Availability assumed for every
+ *   self-hosted pool, overriding the runners (on-api-error policy)
+ * @param {Object} state.billing - Billing information from getBillingInfo
+ * @param {Array|null} [state.queuedJobs] - Jobs waiting for a runner, null
+ *   when unknown
+ * @param {Object} [state.lock] - Mutex attempt: pool name, whether the lock
+ *   was acquired and its description for the reason
+ * @param {Object} config - Selection rules
+ * @param {Array<Object>} config.pools - Runner pools in order of preference
+ * @param {number} config.githubHostedLimit - Default minimum remaining minutes
+ * @param {number|null} [config.githubHostedBudget] - Default budget in USD
+ * @param {Object} [config.minuteMultipliers] - Multipliers by OS and label
+ * @param {boolean} [config.mutex] - Whether self-hosted pools need the lock
+ * @param {number|null} [config.maxQueueDepth] - Queued jobs allowed ahead of
+ *   this one on self-hosted runners, null to ignore the queue
+ * @returns {Object} Decision: runner (selected-runner output), labels, type,
+ *   pool, reason, reasonCode and the candidates checked, each with pool,
+ *   type, reasonCode and log notes
+ */
+export function selectRunner(state, config) {
+  const candidates = []
+  const decide = (pool, reasonCode, reason) => ({
+    runner: formatRunnerLabels(pool.labels),
+    labels: pool.labels,
+    type: pool.type,
+    pool: pool.name,
+    reason,
+    reasonCode,
+    candidates
+  })
+
+  let shortfall = null
+  for (const pool of config.pools) {
+    if (pool.always) {
+      candidates.push({
+        pool: pool.name,
+        type: pool.type,
+        reasonCode: 'always',
+        notes: []
+      })
+      return decide(
+        pool,
+        'always',
+        `Runner pool ${pool.name} is always eligible`
+      )
+    }
+
+    const { reason, notes, ...candidate } =
+      pool.type === 'self-hosted'
+        ? checkSelfHostedPool(state, config, pool)
+        : checkGitHubHostedPool(state, config, pool)
+    candidates.push({
+      pool: pool.name,
+      type: pool.type,
+      reasonCode: candidate.reasonCode,
+      notes
+    })
+    if (reason) {
+      return decide(pool, candidate.reasonCode, reason)
+    }
+    shortfall = candidate.shortfall ?? shortfall
+  }
+
+  // Fallback to self-hosted runners even if busy
+  const fallback = getFallbackPool(config.pools)
+  return decide(
+    fallback,
+    'fallback',
+    shortfall
+      ? `${shortfall}, using ${fallback.type} as fallback`
+      : `No runner pool qualified, using ${fallback.name} as fallback`
+  )
+}